@@ -0,0 +1,34 @@
+/* Commute Check — Background Service Worker (keyboard shortcuts) */
+
+importScripts('lib/settings.js', 'lib/protocol.js');
+
+// Each shortcut changes a few stored settings, which every open Daft.ie tab
+// follows through chrome.storage.onChanged, then says what it did in the
+// tab it was pressed in.  Given the stored settings, a command returns
+// [the settings it changes, what to say].
+const COMMANDS = {
+  'toggle-overlay': settings => [
+    { enabled: !settings.enabled },
+    `Transit overlay ${settings.enabled ? 'off' : 'on'}`
+  ],
+  'cycle-layers': settings => {
+    const [name, layers] = DaftSettings.nextLayers(settings);
+    return [{ ...layers, enabled: true }, name];
+  },
+  'toggle-panel': settings => [
+    { controlPanel: !settings.controlPanel },
+    `Map controls ${settings.controlPanel ? 'hidden' : 'shown'}`
+  ]
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!COMMANDS[command]) return;
+  let text;
+  await DaftSettings.update(chrome.storage.local, settings => {
+    const [changes, said] = COMMANDS[command](settings);
+    text = said;
+    return changes;
+  });
+  // Only Daft.ie tabs have the content script to show it
+  if (tab && tab.id != null) chrome.tabs.sendMessage(tab.id, { type: DaftProtocol.MSG.NOTICE, text }).catch(() => {});
+});
@@ -3,14 +3,39 @@
  *
  * Architecture:
  *   TransitDataProvider  — loads + caches bundled GeoJSON
- *   MapAdapter           — detects map, provides viewport / projection
- *   OverlayRenderer      — draws SVG over the map container
- *   Popup (popup.js)      — toggle, layer toggles, opacity (via chrome.storage)
+ *   MapAdapter           — detects map, provides viewport / projection (lib/mapAdapter.js)
+ *   OverlayRenderer      — builds the scene (lib/scene.js, indexed per zoom by
+ *                          lib/geometry.js); draws it as SVG over the map
+ *                          container (lib/svgOverlay.js)
+ *   NativeRenderer       — or, with a live MapLibre instance, as real map layers
+ *                          added by pageScript.js (messages in lib/protocol.js)
+ *   ListingProvider      — reads Daft listings from the page; badges, sorts and
+ *                          filters result cards by walk to transit
+ *   Journey planner      — walk / ride / walk commute estimates on listing pages
+ *   Transit score        — 0–100 per listing (weights in lib/transitScore.js)
+ *   Shortlist            — starred listings in chrome.storage, listed by shortlist.html
+ *   Drawn areas          — polygons drawn on the overlay (settings.areas); ring
+ *                          the stops and flag the listings inside them
+ *   Popup (popup.js)     — toggle, layer toggles, opacity, profile switch (via chrome.storage)
+ *   Map control panel    — the same toggles on the page; shortcuts in background.js
+ *   Options (options.js) — every setting, named profiles, profile import / export
+ *   Settings             — defaults, migration and validation in lib/settings.js
+ *   Themes               — palettes for lines, stops, rings and tooltips in lib/themes.js
+ *
+ *   Route highlight      — one named line lit up, the rest dimmed (settings.highlightRoute)
+ *   Keyboard access      — stops in view as focusable buttons; a live region
+ *                          counts them after each move
  *
  * Data model (canonical GeoJSON):
  *   Stops:  FeatureCollection<Point>      { id, name, mode, line }
  *   Lines:  FeatureCollection<LineString>  { id, name, mode, line }
- *   mode ∈ { "luas", "rail" }
+ *   mode ∈ { "luas", "rail", "future" }
+ *   Luas stops and rail stations may carry facilities — stepFree, lifts,
+ *   parkAndRide, bikeParking: true / false, absent when unknown.
+ *   Luas and rail lines also carry route and routeName ("maynooth",
+ *   "Maynooth line") — several features can make up one route.
+ *   Future (planned) features carry project, status ("approved" |
+ *   "in planning") and expectedYear; line is "MetroLink", "DART+" or "Luas".
  */
 (function () {
   'use strict';
@@ -22,7 +47,7 @@
   const TransitDataProvider = {
     _cache: null,
 
-    /** @returns {Promise<{luasLines, luasStops, railLines, railStations}>} */
+    /** @returns {Promise<{luasLines, luasStops, railLines, railStations, futureLines, futureStations}>} */
     async getAll() {
       if (this._cache) return this._cache;
       try {
@@ -30,7 +55,9 @@
           luasLines:    'data/luas_lines.json',
           luasStops:    'data/luas_stops.json',
           railLines:    'data/rail_lines.json',
-          railStations: 'data/dart_stations.json'
+          railStations: 'data/dart_stations.json',
+          futureLines:    'data/future_lines.json',
+          futureStations: 'data/future_stations.json'
         };
         const entries = Object.entries(files);
         const results = await Promise.all(
@@ -47,6 +74,24 @@
       }
     },
 
+    _optional: {},
+
+    /** Fetch a data file that not every build ships.  Resolves to null when missing. */
+    _loadOptional(path) {
+      if (!(path in this._optional)) {
+        this._optional[path] = fetch(chrome.runtime.getURL(path))
+          .then(r => r.ok ? r.json() : null)
+          .catch(() => null);
+      }
+      return this._optional[path];
+    },
+
+    /**
+     * Per-stop service frequency (data/headways.json, scripts/build-headways.js):
+     *   { bands: [{ name, ranges }], stops: { <id>: [minutes between departures per band] } }
+     */
+    getHeadways() { return this._loadOptional('data/headways.json'); },
+
     getMeta() {
       return {
         version: '2.0.0',
@@ -59,128 +104,69 @@
   };
 
   // ═══════════════════════════════════════════════════════════════════
-  //  MAP ADAPTER  (MapLibre GL via page-script + URL-param fallback)
+  //  MAP ADAPTER  (MapLibre GL via page-script + URL-param fallback,
+  //                static location maps on listing pages)
   // ═══════════════════════════════════════════════════════════════════
 
-  const MapAdapter = {
-    container: null,
-    found: false,
-    instanceAvailable: false,
-    viewport: null,
-    _pendingProjections: {},
-    _projIdCounter: 0,
-
-    inject() {
-      const s = document.createElement('script');
-      s.src = chrome.runtime.getURL('pageScript.js');
-      s.onload = () => s.remove();
-      (document.head || document.documentElement).appendChild(s);
-    },
-
-    detect() {
-      this.container =
-        document.querySelector('.maplibregl-map') ||
-        document.querySelector('.mapboxgl-map');
-      if (this.container) { this.found = true; }
-      return this.found;
-    },
-
-    getViewport() {
-      if (this.viewport) return this.viewport;
-      return this._viewportFromURL();
-    },
-
-    requestViewport() {
-      window.postMessage({ type: 'DAFT_TRANSIT_GET_VIEWPORT' }, '*');
-    },
+  // lib/mapAdapter.js; the listing it centres listing-page maps on comes
+  // from ListingProvider, further down
+  const { MSG } = DaftProtocol;
 
-    project(points) {
-      return new Promise(resolve => {
-        const id = ++this._projIdCounter;
-        this._pendingProjections[id] = resolve;
-        window.postMessage({
-          type: 'DAFT_TRANSIT_PROJECT_REQUEST',
-          payload: { id, points }
-        }, '*');
-        setTimeout(() => {
-          if (this._pendingProjections[id]) {
-            delete this._pendingProjections[id];
-            resolve(null);
-          }
-        }, 1000);
-      });
-    },
-
-    handleMessage(data) {
-      switch (data.type) {
-        case 'DAFT_TRANSIT_MAP_FOUND':
-          this.instanceAvailable = true;
-          this.found = true;
-          this.detect();
-          break;
-        case 'DAFT_TRANSIT_MAP_NOT_FOUND':
-          this.instanceAvailable = false;
-          this.detect();
-          break;
-        case 'DAFT_TRANSIT_MAP_VIEWPORT':
-          this.viewport = data.payload;
-          break;
-        case 'DAFT_TRANSIT_PROJECT_RESPONSE': {
-          const { id, points } = data.payload;
-          const cb = this._pendingProjections[id];
-          if (cb) { cb(points); delete this._pendingProjections[id]; }
-          break;
-        }
-      }
-    },
-
-    _viewportFromURL() {
-      const u = new URL(window.location.href);
-      const n = parseFloat(u.searchParams.get('top'));
-      const s = parseFloat(u.searchParams.get('bottom'));
-      const w = parseFloat(u.searchParams.get('left'));
-      const e = parseFloat(u.searchParams.get('right'));
-      if ([n,s,w,e].some(Number.isNaN)) return null;
-      const r = this.container ? this.container.getBoundingClientRect() : null;
-      if (!r || r.width === 0) return null;
-      return {
-        bounds: { north: n, south: s, east: e, west: w },
-        containerRect: { top: r.top, left: r.left, width: r.width, height: r.height }
-      };
-    }
-  };
+  const MapAdapter = DaftMapAdapter.create({
+    window,
+    getURL: path => chrome.runtime.getURL(path),
+    currentListing: () => ListingProvider.current()
+  });
 
   // ═══════════════════════════════════════════════════════════════════
   //  OVERLAY RENDERER
   // ═══════════════════════════════════════════════════════════════════
 
-  const COLORS = {
-    luasRed:   '#E2383F',
-    luasGreen: '#00B259',
-    luasBoth:  '#9B59B6',
-    rail:      '#6366F1',
-    dart:      '#0b5e22' // dark green for DART lines and stations
-  };
+  // The theme's palette (lib/themes.js) — swapped by useTheme() as settings.theme changes
+  let THEME  = DaftThemes.get();
+  let COLORS = THEME.colors;
 
-  function colorForLuasLine(lineVal) {
-    const l = (lineVal || '').toLowerCase();
-    if (l === 'green')                return COLORS.luasGreen;
-    if (l === 'both' || l === 'cross') return COLORS.luasBoth;
-    return COLORS.luasRed;
+  function useTheme(id) {
+    THEME = DaftThemes.get(id);
+    COLORS = THEME.colors;
+    return THEME;
   }
 
-  function colorForRailLine(lineVal) {
-    const l = (lineVal || '').toLowerCase();
-    if (l === 'dart') return COLORS.dart;
-    return COLORS.rail;
+  // In the current theme — see lib/themes.js
+  const colorForFutureLine = lineVal => DaftThemes.futureColor(THEME, lineVal);
+  const colorForLuasLine   = lineVal => DaftThemes.luasColor(THEME, lineVal);
+  const colorForRailLine   = (lineVal, route) => DaftThemes.railColor(THEME, lineVal, route);
+
+  const { isDart, railShown, accessShown, both, walkRings, viewOf } = DaftScene;
+  const { esc, pathOf, stopData, stopModeLabel } = DaftSvgOverlay;
+
+  function filterRail(fc, dartOn, railOn) {
+    return { features: fc.features.filter(railShown(dartOn, railOn)) };
+  }
+
+  /**
+   * Every stop / station the current settings leave visible.
+   * @returns {Array<{lat, lng, kind: 'luas'|'dart'|'rail', props}>}
+   */
+  function visibleStops(data, settings) {
+    const out = [];
+    const add = (fc, kindOf) => {
+      for (const f of fc.features) {
+        const c = f.geometry.coordinates;
+        out.push({ lat: c[1], lng: c[0], kind: kindOf(f), props: f.properties });
+      }
+    };
+    const access = accessShown(settings.stepFreeOnly);
+    if (settings.luasStops) add({ features: data.luasStops.features.filter(access) }, () => 'luas');
+    if (settings.dartStations || settings.irishRailStations)
+      add({ features: filterRail(data.railStations, settings.dartStations, settings.irishRailStations).features.filter(access) },
+          f => isDart(f) ? 'dart' : 'rail');
+    return out;
   }
 
   const SVG_NS = 'http://www.w3.org/2000/svg';
-  const WALK_RADII = [
-    { key: 'walkRadius5',  meters: 360,  label: '5 min',  color: '#22c55e' },  // Green
-    { key: 'walkRadius10', meters: 720,  label: '10 min', color: '#eab308' },  // Yellow
-    { key: 'walkRadius20', meters: 1440, label: '20 min', color: '#ef4444' }   // Red
-  ];
+  const WALK_M_PER_MIN = 72; // ~4.3 km/h — walk times in badges, panels and commutes
+  const { M_PER_DEG_LAT, distanceMeters } = DaftGeometry;
 
   let svgOverlay  = null;
   let tooltip     = null;
@@ -190,26 +176,35 @@
   function ensureOverlay() {
     const mc = MapAdapter.container;
     if (!mc) return;
-    if (svgOverlay && svgOverlay.parentElement) return;
-    svgOverlay = document.createElementNS(SVG_NS, 'svg');
-    svgOverlay.id = 'daft-transit-svg-overlay';
-    // Insert after the canvas container but before native MapLibre overlays
-    // so Daft's markers/controls remain on top
-    const cc = mc.querySelector('.maplibregl-canvas-container,.mapboxgl-canvas-container');
-    if (cc) cc.insertAdjacentElement('afterend', svgOverlay);
-    else mc.insertBefore(svgOverlay, mc.firstChild);
-  }
-
-  // Web Mercator
-  function projectAll(points, vp) {
-    const { bounds: b, containerRect: r } = vp;
-    const W = r.width, H = r.height;
-    const mercY = lat => Math.log(Math.tan(Math.PI/4 + (lat*Math.PI/180)/2));
-    const yN = mercY(b.north), yS = mercY(b.south);
-    return points.map(p => ({
-      x: ((p.lng - b.west) / (b.east - b.west)) * W,
-      y: ((yN - mercY(p.lat)) / (yN - yS)) * H
-    }));
+    if (!svgOverlay || svgOverlay.parentElement !== mc) {
+      // Re-use the element when the map changes so the tooltip listeners survive
+      if (!svgOverlay) {
+        svgOverlay = document.createElementNS(SVG_NS, 'svg');
+        svgOverlay.id = 'daft-transit-svg-overlay';
+      }
+      svgOverlay.removeAttribute('style');
+      if (MapAdapter.kind === 'static') {
+        // Right after the image so it paints on top
+        if (getComputedStyle(mc).position === 'static') mc.style.position = 'relative';
+        MapAdapter.surface.insertAdjacentElement('afterend', svgOverlay);
+      } else {
+        // Insert after the canvas container but before native MapLibre overlays
+        // so Daft's markers/controls remain on top
+        const cc = mc.querySelector('.maplibregl-canvas-container,.mapboxgl-canvas-container');
+        if (cc) cc.insertAdjacentElement('afterend', svgOverlay);
+        else mc.insertBefore(svgOverlay, mc.firstChild);
+      }
+    }
+    // A static map's parent can be larger than the image — cover just the image
+    if (MapAdapter.kind === 'static') {
+      const img = MapAdapter.surface;
+      Object.assign(svgOverlay.style, {
+        left: img.offsetLeft + 'px', top: img.offsetTop + 'px',
+        width: img.offsetWidth + 'px', height: img.offsetHeight + 'px'
+      });
+    }
+    ensureDrawButton();
+    ensureControlPanel();
   }
 
   function _clearOverlayTransform() {
@@ -218,120 +213,119 @@
     svgOverlay.style.transformOrigin = '';
   }
 
+  /** The scene for the current settings (lib/scene.js), view: viewOf() a viewport or null. */
+  function buildScene(data, settings, view) {
+    useTheme(settings.theme);
+    return DaftScene.build(data, settings, view, {
+      ranks: settings.stopLabels ? labelRanks(data) : null,
+      highlight: routeInfo(data, settings.highlightRoute)
+    });
+  }
+
   async function render(settings) {
     if (_isPanning) return; // transform handles it during gestures
-    if (!svgOverlay) { ensureOverlay(); if (!svgOverlay) return; }
+    ensureOverlay();
+    if (!svgOverlay) return;
     // NOTE: Don't clear the CSS transform yet — the old content under the
     // gesture transform still looks correct.  We clear it atomically with
     // the innerHTML swap so there is no visible gap.
     const data = await TransitDataProvider.getAll();
     if (!data) { _clearOverlayTransform(); svgOverlay.innerHTML = ''; return; }
+    _headways = await TransitDataProvider.getHeadways();
+    useTheme(settings.theme);
+    ensureRouteChip(routeInfo(data, settings.highlightRoute));
 
-    // Gather points
-    const pts = [];
-    const idx = { luasLines:[], luasStops:[], railLines:[], railStations:[] };
-
-    const addLineFeatures = (fc, key) => {
-      for (const f of fc.features) {
-        const coords = f.geometry.type === 'MultiLineString'
-          ? f.geometry.coordinates.flat() : f.geometry.coordinates;
-        const start = pts.length;
-        for (const c of coords) pts.push({ lat: c[1], lng: c[0] });
-        idx[key].push({ start, count: coords.length, props: f.properties });
-      }
-    };
-    const addPointFeatures = (fc, key) => {
-      for (const f of fc.features) {
-        const c = f.geometry.coordinates;
-        idx[key].push({ i: pts.length, props: f.properties });
-        pts.push({ lat: c[1], lng: c[0] });
+    // With a live map instance the page script draws real map layers, which
+    // follow pans and zooms on their own — nothing to redo until settings change
+    if (MapAdapter.instanceAvailable) {
+      const key = NativeRenderer.keyOf(settings);
+      if (NativeRenderer.active && NativeRenderer.key === key) { await drawStopAccess(data, settings); return; }
+      if (await NativeRenderer.draw(buildScene(data, settings), settings, key)) {
+        _clearOverlayTransform();
+        svgOverlay.innerHTML = '';
+        _lineHits = [];
+        showPinnedRadius();
+        drawAreaPreview();
+        await drawStopAccess(data, settings);
+        return;
       }
-    };
-
-    if (settings.luasLines)    addLineFeatures(data.luasLines,    'luasLines');
-    if (settings.luasStops)    addPointFeatures(data.luasStops,   'luasStops');
-
-    // Rail lines — filter DART vs Irish Rail independently
-    if (settings.dartLines || settings.irishRailLines) {
-      const filtered = { features: data.railLines.features.filter(f => {
-        const isDart = (f.properties.line || '').toLowerCase() === 'dart';
-        return isDart ? settings.dartLines : settings.irishRailLines;
-      })};
-      addLineFeatures(filtered, 'railLines');
     }
+    NativeRenderer.clear();
 
-    // Rail stations — filter DART vs Irish Rail independently
-    if (settings.dartStations || settings.irishRailStations) {
-      const filtered = { features: data.railStations.features.filter(f => {
-        const isDart = (f.properties.line || '').toLowerCase() === 'dart';
-        return isDart ? settings.dartStations : settings.irishRailStations;
-      })};
-      addPointFeatures(filtered, 'railStations');
-    }
+    // Only what's in (or around) the view goes through projection
+    const view = viewOf(MapAdapter.getViewport());
+    const scene = buildScene(data, settings, view);
 
-    if (pts.length === 0) { _clearOverlayTransform(); svgOverlay.innerHTML = ''; return; }
+    const layout = DaftSvgOverlay.layout(scene);
+    if (layout.pts.length === 0) { _clearOverlayTransform(); svgOverlay.innerHTML = ''; return; }
 
     // Project
     let projected = null;
     if (MapAdapter.instanceAvailable) {
-      projected = await MapAdapter.project(pts);
+      projected = await MapAdapter.project(layout.pts);
       if (projected && !projected.some(p => p !== null)) projected = null;
     }
+    const vp = MapAdapter.getViewport();
     if (!projected) {
-      const vp = MapAdapter.getViewport();
       if (!vp) { _clearOverlayTransform(); return; }
-      projected = projectAll(pts, vp);
-    }
-
-    // Compute px-per-meter for walk radius (using viewport or projected points)
-    const vp2 = MapAdapter.getViewport();
-    if (vp2) {
-      const degLngSpan = vp2.bounds.east - vp2.bounds.west;
-      const midLat = (vp2.bounds.north + vp2.bounds.south) / 2;
-      const metersPerDegLng = 111320 * Math.cos(midLat * Math.PI / 180);
-      _pxPerMeter = vp2.containerRect.width / (degLngSpan * metersPerDegLng);
-    } else if (projected.length >= 2 && pts.length >= 2) {
-      // Fallback: measure from two projected points
-      const dLng = Math.abs(pts[1].lng - pts[0].lng);
-      const dPx  = Math.abs(projected[1].x - projected[0].x);
-      if (dLng > 0 && dPx > 0) {
-        const midLat = (pts[0].lat + pts[1].lat) / 2;
-        const metersPerDegLng = 111320 * Math.cos(midLat * Math.PI / 180);
-        _pxPerMeter = dPx / (dLng * metersPerDegLng);
-      }
-    }
-
-    // Build SVG
-    const op = settings.opacity / 100;
-    const svg = [];
-
-
-    // Lines
-    const drawLine = (seg, color, width) => {
-      const ps = [];
-      for (let j = seg.start; j < seg.start + seg.count; j++)
-        if (projected[j]) ps.push(`${projected[j].x.toFixed(1)},${projected[j].y.toFixed(1)}`);
-      if (ps.length > 1)
-        svg.push(`<polyline points="${ps.join(' ')}" fill="none" stroke="${color}" stroke-width="${width}" stroke-opacity="${op}" stroke-linecap="round" stroke-linejoin="round"/>`);
-    };
-
-    // Rail lines first (behind Luas)
-    for (const s of idx.railLines) drawLine(s, colorForRailLine(s.props.line), 2.5);
-    // Luas on top
-    for (const s of idx.luasLines) drawLine(s, colorForLuasLine(s.props.line), 3);
-
-    // Stops / stations
-    const dot = (p, fill, name, mode, line, r) => {
-      if (!p) return;
-      svg.push(`<g class="transit-stop" data-name="${esc(name)}" data-mode="${mode}" data-line="${esc(line)}"><circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${r}" fill="${fill}" stroke="#fff" stroke-width="1.5" opacity="${op}"/></g>`);
-    };
-    for (const s of idx.railStations) dot(projected[s.i], colorForRailLine(s.props.line), s.props.name || 'Station', 'rail', s.props.line || 'rail', 3.5);
-    for (const s of idx.luasStops)    dot(projected[s.i], colorForLuasLine(s.props.line), s.props.name || 'Luas Stop', 'luas', s.props.line || 'luas', 4);
+      projected = DaftGeometry.project(layout.pts, vp);
+    }
+    _pxPerMeter = DaftSvgOverlay.pxPerMeter(vp, layout.pts, projected) || _pxPerMeter;
+
+    // Labels and ring captions take the theme's text colours
+    svgOverlay.style.setProperty('--dt-label', THEME.label.color);
+    svgOverlay.style.setProperty('--dt-halo', THEME.label.halo);
+    const { svg, hits, stopPx } = DaftSvgOverlay.draw(scene, layout, projected, {
+      opacity: settings.opacity / 100,
+      pxPerMeter: _pxPerMeter,
+      labels: settings.stopLabels && !!view && view.zoom >= settings.labelMinZoom,
+      rect: viewRect()
+    });
 
     // Clear transform and swap content in the same JS turn — no visible gap
+    const focused = focusedStopId();
     _clearOverlayTransform();
-    svgOverlay.innerHTML = svg.join('');
+    svgOverlay.innerHTML = svg;
+    _lineHits = hits;   // where each route ran, for clicks (see lineAt())
+    restoreStopFocus(focused);
+    announceStops(scene.stops, stopPx);
     wireTooltips();
+    showPinnedRadius();
+    drawAreaPreview();
+  }
+
+  // ── Stop labels ──
+
+  let _labelRanks = null;
+
+  /**
+   * Label priority by stop id, highest placed first: +2 for a Luas ↔ rail
+   * interchange within INTERCHANGE_WALK_M, +1 per line served, +0.5 for the
+   * end of a line.  So interchanges (≥ 2) beat termini (1.5) beat the rest.
+   */
+  function labelRanks(data) {
+    if (_labelRanks && _labelRanks.data === data) return _labelRanks.ranks;
+    const net = getNetwork(data, _headways);
+    const ranks = new Map();
+    net.stops.forEach(s => {
+      const lines = new Set(s.lines.filter(l => l.mode !== 'luas' || s.props.line === 'Both' || l.line === s.props.line).map(lineLabel)).size;
+      const crossMode = net.stops.some(o => (o.kind === 'luas') !== (s.kind === 'luas') && distanceMeters(s, o) <= INTERCHANGE_WALK_M);
+      ranks.set(s.props.id, Math.max(1, lines) + (crossMode ? 2 : 0));
+    });
+    // A platform with a ride edge one way only is the end of its line
+    net.node.forEach((n, i) => {
+      if (!n.line || net.adj[i].filter(e => e[2] === 'ride').length !== 1) return;
+      const id = net.stops[n.stop].props.id;
+      if (ranks.get(id) < 2) ranks.set(id, 1.5);
+    });
+    _labelRanks = { data, ranks };
+    return ranks;
+  }
+
+  /** Stop descriptor from an SVG stop marker: its data-* plus pixel position on the map. */
+  function stopFromEl(g) {
+    const c = g.querySelector('circle');
+    return { ...g.dataset, lat: +g.dataset.lat, lng: +g.dataset.lng, x: +c.getAttribute('cx'), y: +c.getAttribute('cy') };
   }
 
   let tooltipsWired = false;
@@ -342,52 +336,121 @@
     // Event delegation - 3 listeners total instead of 660+
     svgOverlay.addEventListener('mouseenter', e => {
       const g = e.target.closest('.transit-stop');
-      if (g) showTip(e, g);
+      if (g) showTip(stopFromEl(g));
     }, true);
     svgOverlay.addEventListener('mouseleave', e => {
       if (e.target.closest('.transit-stop')) hideTip();
     }, true);
+    // The focus layer over the dots — see stopAccessSVG()
+    svgOverlay.addEventListener('focusin', e => {
+      const g = e.target.closest('.dt-stop-focus');
+      if (g) showTip(stopFromEl(g));
+    });
+    svgOverlay.addEventListener('focusout', e => {
+      if (e.target.closest('.dt-stop-focus')) hideTip();
+    });
+    svgOverlay.addEventListener('keydown', e => {
+      const g = e.target.closest('.dt-stop-focus');
+      if (!g || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      e.stopPropagation();
+      pinStop(stopFromEl(g));
+    });
     svgOverlay.addEventListener('click', e => {
+      if (Draw.active) { e.stopPropagation(); addAreaPoint(e); return; }
       const g = e.target.closest('.transit-stop');
-      if (g) { e.stopPropagation(); showTip(e, g); }
+      if (g) { e.stopPropagation(); pinStop(stopFromEl(g)); }
     });
+    // While drawing the overlay takes the pointer — see startDrawing()
+    svgOverlay.addEventListener('mousemove', e => {
+      if (!Draw.active) return;
+      Draw.cursor = overlayPoint(e);
+      drawAreaPreview();
+    });
+    svgOverlay.addEventListener('dblclick', e => {
+      if (!Draw.active) return;
+      e.stopPropagation();
+      e.preventDefault();
+      finishDrawing(true);
+    });
+    // … and keeps it from the map, so drags and wheel zooms don't move it
+    for (const type of ['mousedown', 'wheel', 'touchstart']) {
+      svgOverlay.addEventListener(type, e => {
+        if (!Draw.active) return;
+        e.stopPropagation();
+        if (type === 'wheel') e.preventDefault();
+      }, { passive: false });
+    }
   }
-  function showTip(e, g) {
+  function showTip(stop) {
+    if (Draw.active) return;
     hideTip();
-    const mode = g.dataset.mode === 'luas' ? 'Luas' : (g.dataset.line || '').toLowerCase() === 'dart' ? 'DART' : 'Rail';
     tooltip = document.createElement('div');
-    tooltip.className = 'daft-transit-tooltip';
-    tooltip.textContent = `${mode}: ${g.dataset.name}`;
-    const c = g.querySelector('circle');
-    const cr = MapAdapter.container.getBoundingClientRect();
-    tooltip.style.left = (cr.left + +c.getAttribute('cx')) + 'px';
-    tooltip.style.top  = (cr.top  + +c.getAttribute('cy') - 8) + 'px';
+    tooltip.className = `daft-transit-tooltip dt-ui-${THEME.ui}`;
+    tooltip.textContent = `${stopModeLabel(stop)}: ${stop.name}`;
+    const detail = stop.mode === 'future' ? describePlanned(stop) : describeHeadways(stop.id);
+    for (const text of [detail, stop.facilities]) {
+      if (!text) continue;
+      const sub = document.createElement('div');
+      sub.className = 'dt-tip-sub';
+      sub.textContent = text;
+      tooltip.appendChild(sub);
+    }
+    const cr = MapAdapter.surface.getBoundingClientRect();
+    tooltip.style.left = (cr.left + stop.x) + 'px';
+    tooltip.style.top  = (cr.top  + stop.y - 8) + 'px';
     document.body.appendChild(tooltip);
-    showWalkRadius(g);
+    showWalkRadius(stop);
   }
   function hideTip() {
     hideWalkRadius();
     if (tooltip) { tooltip.remove(); tooltip = null; }
+    showPinnedRadius();
+  }
+
+  // ── Service frequency ──
+
+  let _headways = null;
+
+  /** Minutes between departures at a stop in a named band, if known. */
+  function headwayAt(stopId, band) {
+    if (!_headways || !stopId) return null;
+    const row = _headways.stops[stopId];
+    const i = _headways.bands.findIndex(b => b.name === band);
+    return row && i >= 0 ? row[i] : null;
+  }
+
+  /** "Every 4 min peak / 12 min off-peak" */
+  function describeHeadways(stopId) {
+    const peak = headwayAt(stopId, 'peak'), off = headwayAt(stopId, 'offpeak');
+    const fmt = m => m >= 90 ? `${Math.round(m / 60)} h` : `${m} min`;
+    if (peak && off) return `Every ${fmt(peak)} peak / ${fmt(off)} off-peak`;
+    if (peak) return `Every ${fmt(peak)} peak, no off-peak service`;
+    if (off) return `Every ${fmt(off)} off-peak`;
+    return null;
+  }
+
+  /** "Approved · expected 2035" — dates are the promoter's, not ours */
+  function describePlanned(stop) {
+    const status = stop.status ? stop.status[0].toUpperCase() + stop.status.slice(1) : 'Proposed';
+    return stop.year ? `${status} · expected ${stop.year}` : status;
   }
 
   // ── Walking radius circles ──
-  function showWalkRadius(g) {
+  function showWalkRadius(stop) {
     hideWalkRadius();
-    if (!svgOverlay || _pxPerMeter <= 0) return;
-    const anyOn = WALK_RADII.some(r => settings[r.key]);
-    if (!anyOn) return;
+    const rings = walkRings(settings);
+    if (rings.length === 0) return;
 
-    const c  = g.querySelector('circle');
-    const cx = +c.getAttribute('cx');
-    const cy = +c.getAttribute('cy');
+    if (NativeRenderer.active) { NativeRenderer.setReach(reachFeatures(stop, rings)); return; }
+    if (!svgOverlay || _pxPerMeter <= 0) return;
+    const cx = stop.x, cy = stop.y;
 
     const group = document.createElementNS(SVG_NS, 'g');
     group.id = 'dt-walk-radii';
 
-    for (const r of WALK_RADII) {
-      if (!settings[r.key]) continue;
+    for (const r of rings) {
       const px = r.meters * _pxPerMeter;
-
       const circle = document.createElementNS(SVG_NS, 'circle');
       circle.setAttribute('cx', cx);
       circle.setAttribute('cy', cy);
@@ -411,12 +474,1241 @@
   }
 
   function hideWalkRadius() {
+    if (NativeRenderer.active) NativeRenderer.setReach(null);
     if (!svgOverlay) return;
     const existing = svgOverlay.getElementById('dt-walk-radii');
     if (existing) existing.remove();
   }
 
-  function esc(s) { return s.replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+  // ═══════════════════════════════════════════════════════════════════
+  //  NATIVE MAP LAYERS  (MapLibre sources + layers, via the page script)
+  // ═══════════════════════════════════════════════════════════════════
+
+  // The settings buildScene() and draw() read, and the pinned stop's reach
+  // with them — a change to any other (listing sort, destinations, the
+  // control panel…) leaves the layers on the map as they are
+  const SCENE_SETTINGS = [
+    'luasLines', 'luasStops', 'dartLines', 'dartStations', 'irishRailLines', 'irishRailStations',
+    'futureLines', 'futureStations', 'stepFreeOnly',
+    'stopLabels', 'labelMinZoom', 'opacity', 'theme',
+    'travelProfile', 'travelSpeedKmh', 'walkRings', 'coverage',
+    'areas', 'highlightRoute'
+  ];
+
+  const NativeRenderer = {
+    active: false,
+    key: null,     // keyOf() the settings the layers on the map were built from
+
+    keyOf(settings) {
+      return JSON.stringify(SCENE_SETTINGS.map(k => settings[k]));
+    },
+
+    /**
+     * Hand the scene to the page script as GeoJSON with styling in the
+     * feature properties.
+     * @returns {Promise<boolean>} false when the map wouldn't take the layers
+     */
+    async draw(scene, settings, key) {
+      const feature = (type, coordinates, properties) => ({ type: 'Feature', geometry: { type, coordinates }, properties });
+      const ok = await MapAdapter._request(MSG.NATIVE_DRAW, {
+        opacity: settings.opacity / 100,
+        labels: settings.stopLabels ? { minZoom: settings.labelMinZoom, ...THEME.label } : null,
+        coverage: scene.coverage
+          ? coverageFeatures(scene.coverage, DaftSvgOverlay.COVERAGE_OPACITY * settings.opacity / 100)
+          : { type: 'FeatureCollection', features: [] },
+        lines: { type: 'FeatureCollection', features: scene.lines.map((l, z) =>
+          feature('MultiLineString', l.parts, { color: l.color, width: l.width, dashed: !!l.dash, route: l.route, fade: l.dim ? DaftScene.DIM_OPACITY : 1, z })) },
+        stops: { type: 'FeatureCollection', features: scene.stops.map((s, z) =>
+          feature('Point', [s.lng, s.lat], { ...s.stop, fill: s.fill, stroke: s.stroke, r: s.r, rank: s.rank, inArea: s.inArea, fade: s.dim ? DaftScene.DIM_OPACITY : 1, z })) },
+        areas: { type: 'FeatureCollection', features: scene.areas.map(a =>
+          feature('Polygon', [[...a.coords, a.coords[0]]], { name: a.name })) }
+      }, 2000);
+      this.active = !!ok;
+      this.key = ok ? key : null;
+      return this.active;
+    },
+
+    clear() {
+      if (!this.active) return;
+      this.active = false;
+      this.key = null;
+      window.postMessage({ type: MSG.NATIVE_CLEAR }, '*');
+    },
+
+    /** Walk rings for the hovered / pinned stop; null clears them. */
+    setReach(fc) {
+      window.postMessage({ type: MSG.NATIVE_REACH, payload: { reach: fc || { type: 'FeatureCollection', features: [] } } }, '*');
+    }
+  };
+
+  const COVERAGE_ROWS = 40;   // grid rows across the largest ring's radius
+
+  const round5 = v => Math.round(v * 1e5) / 1e5;   // ~1 m, and a much smaller message
+
+  /** Sorted, overlapping [a, b] spans merged. */
+  function mergeSpans(spans) {
+    spans.sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const [a, b] of spans) {
+      const last = out[out.length - 1];
+      if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+      else out.push([a, b]);
+    }
+    return out;
+  }
+
+  /** Merged spans minus merged holes. */
+  function subtractSpans(spans, holes) {
+    const out = [];
+    for (let [a, b] of spans) {
+      for (const [h0, h1] of holes) {
+        if (h1 <= a || h0 >= b) continue;
+        if (h0 > a) out.push([a, h0]);
+        a = Math.max(a, h1);
+      }
+      if (a < b) out.push([a, b]);
+    }
+    return out;
+  }
+
+  /**
+   * Coverage bands for the native fill layer.  A fill layer stacks the
+   * opacity of overlapping polygons, so the union is taken here instead:
+   * every band becomes merged spans along rows of a lat grid, with the
+   * nearer band cut out of the farther one.
+   */
+  function coverageFeatures(coverage, opacity) {
+    const { rings, points } = coverage;
+    const dLat = rings[rings.length - 1].meters / COVERAGE_ROWS / M_PER_DEG_LAT;
+    let inner = new Map();   // row → merged spans of the previous band
+    const features = rings.map(ring => {
+      const rows = new Map();
+      for (const [lng, lat] of points) {
+        const mLng = M_PER_DEG_LAT * Math.cos(lat * Math.PI / 180);
+        const r0 = Math.floor(lat / dLat - COVERAGE_ROWS), r1 = Math.floor(lat / dLat + COVERAGE_ROWS);
+        for (let row = r0; row <= r1; row++) {
+          const dy = ((row + 0.5) * dLat - lat) * M_PER_DEG_LAT;   // chord through the row's middle
+          if (Math.abs(dy) >= ring.meters) continue;
+          const half = Math.sqrt(ring.meters ** 2 - dy ** 2) / mLng;
+          if (!rows.has(row)) rows.set(row, []);
+          rows.get(row).push([lng - half, lng + half]);
+        }
+      }
+      const merged = new Map();
+      const coordinates = [];
+      for (const [row, spans] of rows) {
+        const m = mergeSpans(spans);
+        merged.set(row, m);
+        const y0 = round5(row * dLat), y1 = round5((row + 1) * dLat);
+        for (let [x0, x1] of subtractSpans(m, inner.get(row) || [])) {
+          x0 = round5(x0); x1 = round5(x1);
+          coordinates.push([[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]]);
+        }
+      }
+      inner = merged;
+      return { type: 'Feature', properties: { color: ring.color, opacity }, geometry: { type: 'MultiPolygon', coordinates } };
+    });
+    return { type: 'FeatureCollection', features };
+  }
+
+  /** Walk rings as GeoJSON polygons around a stop — 64-gon circles. */
+  function reachFeatures(stop, rings) {
+    const mLng = M_PER_DEG_LAT * Math.cos(stop.lat * Math.PI / 180);
+    const at = (dx, dy) => [stop.lng + dx / mLng, stop.lat + dy / M_PER_DEG_LAT];
+    return {
+      type: 'FeatureCollection',
+      features: rings.map(r => {
+        const ring = [];
+        for (let k = 0; k <= 64; k++) {
+          const a = k / 64 * 2 * Math.PI;
+          ring.push(at(r.meters * Math.cos(a), r.meters * Math.sin(a)));
+        }
+        return { type: 'Feature', properties: { color: r.color }, geometry: { type: 'Polygon', coordinates: [ring] } };
+      })
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  STOP DETAILS PANEL  (click a stop to pin it)
+  // ═══════════════════════════════════════════════════════════════════
+
+  let _pinned = null;   // the pinned stop: { id, name, mode, line, lat, lng, … }
+
+  function lineLabel(props) {
+    if (props.mode === 'luas') return `Luas ${props.line}`;
+    const l = (props.line || '').toLowerCase();
+    if (l === 'dart') return 'DART';
+    return l === 'commuter' ? `${props.name} commuter` : props.name;
+  }
+
+  /** Every line serving the stop, from the same linear referencing the journey planner uses. */
+  function linesAt(stop, net) {
+    if (stop.mode === 'future') return [`${stop.line} (planned)`];
+    const s = net.stops.find(s => s.props.id === stop.id);
+    const rank = l => ['luas', 'dart', 'commuter', 'rail'].indexOf(rideKind(l));
+    // A Luas stop a street away from the other line still snaps to it; trust the stop's own line
+    const served = s ? s.lines.filter(l => l.mode !== 'luas' || stop.line === 'Both' || l.line === stop.line) : [];
+    const lines = [...new Set(served.sort((a, b) => rank(a) - rank(b)).map(lineLabel))];
+    return lines.length ? lines : [stop.mode === 'luas' ? `Luas ${stop.line}` : stop.line];
+  }
+
+  /** Luas and rail stops within INTERCHANGE_WALK_M, nearest first, one per name. */
+  function interchangesAt(stop, net) {
+    const seen = new Set([stop.name]);
+    return net.stops
+      .map(s => ({ s, meters: distanceMeters(stop, s) }))
+      .filter(x => x.meters <= INTERCHANGE_WALK_M && x.s.props.id !== stop.id)
+      .sort((a, b) => a.meters - b.meters)
+      .filter(x => !seen.has(x.s.props.name) && seen.add(x.s.props.name))
+      .map(x => ({ name: x.s.props.name, label: stopLabel(x.s), minutes: Math.max(1, Math.round(x.meters / WALK_M_PER_MIN)) }));
+  }
+
+  async function pinStop(stop) {
+    const data = await TransitDataProvider.getAll();
+    if (!data || !MapAdapter.container) return;
+    const net = getNetwork(data, _headways);
+    _pinned = stop;
+
+    let panel = document.getElementById('dt-stop-panel');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'dt-stop-panel';
+      panel.addEventListener('click', e => {
+        if (e.target.closest('.dt-sp-close')) unpinStop();
+      });
+      document.addEventListener('keydown', onPanelKey);
+    }
+    // Anchored to the map so it follows the map out of view on scroll
+    if (panel.parentElement !== MapAdapter.container) MapAdapter.container.appendChild(panel);
+    panel.className = `dt-ui-${THEME.ui}`;
+
+    const detail = stop.mode === 'future' ? describePlanned(stop) : describeHeadways(stop.id);
+    const links = stop.mode === 'future' ? [] : interchangesAt(stop, net);
+    const list = items => `<ul class="dt-sp-list">${items.map(i => `<li>${i}</li>`).join('')}</ul>`;
+    panel.innerHTML =
+      `<div class="dt-sp-head"><span class="dt-sp-name">${esc(stop.name)}</span><button class="dt-sp-close" aria-label="Close">×</button></div>` +
+      (detail ? `<div class="dt-sp-sub">${esc(detail)}</div>` : '') +
+      (stop.facilities ? `<div class="dt-sp-sub">${esc(stop.facilities)}</div>` : '') +
+      '<div class="dt-sp-label">Lines</div>' + list(linesAt(stop, net).map(esc)) +
+      (stop.mode === 'future' ? '' : '<div class="dt-sp-label">Connections</div>' + (links.length
+        ? list(links.map(l => `${esc(l.name)} <span class="dt-sp-muted">${esc(l.label)} · ${l.minutes} min walk</span>`))
+        : `<div class="dt-sp-muted">No other Luas or rail stop within ${Math.round(INTERCHANGE_WALK_M / WALK_M_PER_MIN)} min walk</div>`)) +
+      (stop.id ? `<div class="dt-sp-id">Stop ID ${esc(stop.id)}</div>` : '');
+
+    showPinnedRadius();
+  }
+
+  function unpinStop() {
+    _pinned = null;
+    const panel = document.getElementById('dt-stop-panel');
+    if (panel) panel.remove();
+    document.removeEventListener('keydown', onPanelKey);
+    hideWalkRadius();
+  }
+
+  function onPanelKey(e) {
+    if (e.key === 'Escape') unpinStop();
+  }
+
+  /** Keep the pinned stop's walk rings up across hovers and re-renders. */
+  function showPinnedRadius() {
+    if (!_pinned) return;
+    // The map container was swapped out under us (client-side navigation)
+    if (!document.getElementById('dt-stop-panel')) { _pinned = null; return; }
+    // Native rings are anchored in map coordinates; SVG ones need the stop's new pixel position
+    if (NativeRenderer.active) { showWalkRadius(_pinned); return; }
+    if (!svgOverlay) return;
+    const g = [...svgOverlay.querySelectorAll('.transit-stop')]
+      .find(g => g.dataset.id === _pinned.id && g.dataset.mode === _pinned.mode);
+    if (g) showWalkRadius(stopFromEl(g));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  DRAWN AREAS  (polygons the user draws on the map, kept in settings.areas)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const Draw = { active: false, vp: null, px: [], coords: [], cursor: null };
+  const round6 = v => Math.round(v * 1e6) / 1e6;
+
+  /** The saved areas containing a { lat, lng }. */
+  function areasAt(point, areas = settings.areas || []) {
+    return areas.filter(a => DaftGeometry.pointInPolygon([point.lng, point.lat], a.coords));
+  }
+
+  function overlayPoint(e) {
+    const r = MapAdapter.surface.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
+
+  /** "✎ Draw area" in the corner of the map while the overlay is on. */
+  function ensureDrawButton() {
+    const mc = MapAdapter.container;
+    let btn = document.getElementById('dt-draw-btn');
+    if (!settings.enabled || !mc) {
+      if (btn) btn.remove();
+      document.getElementById('dt-area-name')?.remove();
+      return;
+    }
+    if (!btn) {
+      btn = document.createElement('button');
+      btn.id = 'dt-draw-btn';
+      btn.type = 'button';
+      btn.addEventListener('click', e => {
+        e.stopPropagation();
+        Draw.active ? finishDrawing(false) : startDrawing();
+      });
+    }
+    if (btn.parentElement !== mc) mc.appendChild(btn);
+    btn.textContent = Draw.active ? 'Cancel (Esc)' : '✎ Draw area';
+    btn.title = Draw.active ? 'Click to add corners; double-click, Enter or the first corner to finish' : 'Outline an area to highlight the stops and listings inside it';
+  }
+
+  /**
+   * The overlay takes the pointer until the shape is finished, so the map
+   * holds still and the pixels of the corners stay valid.
+   */
+  function startDrawing() {
+    const vp = MapAdapter.getViewport();
+    if (!vp || !svgOverlay) return;
+    Object.assign(Draw, { active: true, vp, px: [], coords: [], cursor: null });
+    hideTip();
+    unpinStop();
+    svgOverlay.classList.add('dt-drawing');
+    document.addEventListener('keydown', onDrawKey, true);
+    ensureDrawButton();
+  }
+
+  function addAreaPoint(e) {
+    const p = overlayPoint(e);
+    const first = Draw.px[0], last = Draw.px[Draw.px.length - 1];
+    // Back on the first corner closes the shape; a double-click's second click adds nothing
+    if (first && Draw.px.length >= 3 && Math.hypot(p.x - first.x, p.y - first.y) < 8) { finishDrawing(true); return; }
+    if (last && Math.hypot(p.x - last.x, p.y - last.y) < 4) return;
+    Draw.px.push(p);
+    Draw.coords.push(DaftGeometry.unproject(p.x, p.y, Draw.vp));
+    drawAreaPreview();
+  }
+
+  function onDrawKey(e) {
+    if (e.key === 'Escape') finishDrawing(false);
+    else if (e.key === 'Enter') finishDrawing(true);
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function finishDrawing(save) {
+    const coords = Draw.coords;
+    Object.assign(Draw, { active: false, vp: null, px: [], coords: [], cursor: null });
+    if (svgOverlay) svgOverlay.classList.remove('dt-drawing');
+    document.removeEventListener('keydown', onDrawKey, true);
+    ensureDrawButton();
+    drawAreaPreview();
+    if (save && coords.length >= 3) askAreaName(coords);
+  }
+
+  /**
+   * "Name this area [Area 3] Save ×" above the draw button — a prompt()
+   * would block the page, Daft's map included, until answered.
+   */
+  function askAreaName(coords) {
+    const mc = MapAdapter.container;
+    if (!mc) return;
+    document.getElementById('dt-area-name')?.remove();
+    const fallback = `Area ${(settings.areas || []).length + 1}`;
+    const form = document.createElement('form');
+    form.id = 'dt-area-name';
+    form.innerHTML = '<label>Name this area <input type="text" maxlength="40"></label>' +
+      '<button type="submit">Save</button><button type="button" class="dt-an-cancel" title="Discard the area" aria-label="Discard the area">×</button>';
+    const input = form.querySelector('input');
+    input.value = fallback;
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      form.remove();
+      saveArea(input.value.trim() || fallback, coords);
+    });
+    form.querySelector('.dt-an-cancel').addEventListener('click', () => form.remove());
+    form.addEventListener('keydown', e => {
+      e.stopPropagation();   // typing isn't for the map or the page's shortcuts
+      if (e.key === 'Escape') form.remove();
+    });
+    for (const type of ['click', 'dblclick', 'mousedown', 'touchstart', 'wheel']) {
+      form.addEventListener(type, e => e.stopPropagation(), { passive: true });
+    }
+    mc.appendChild(form);
+    input.focus({ preventScroll: true });
+    input.select();
+  }
+
+  /** Appended to the areas as stored, not as this tab last saw them. */
+  function saveArea(name, coords) {
+    const area = {
+      id: 'area-' + Date.now().toString(36),
+      name: name.slice(0, 40),
+      coords: coords.map(([lng, lat]) => [round6(lng), round6(lat)])
+    };
+    DaftSettings.update(chrome.storage.local, s => ({ areas: [...s.areas, area] }));
+  }
+
+  /** The shape so far, with a rubber band to the pointer. */
+  function drawAreaPreview() {
+    if (!svgOverlay) return;
+    const old = svgOverlay.querySelector('#dt-draw');
+    if (old) old.remove();
+    if (!Draw.active || Draw.px.length === 0) return;
+    const pts = Draw.cursor ? [...Draw.px, Draw.cursor] : Draw.px;
+    const g = document.createElementNS(SVG_NS, 'g');
+    g.id = 'dt-draw';
+    g.innerHTML = (pts.length > 1 ? `<path d="${pathOf(pts)}"/>` : '') +
+      Draw.px.map((p, i) => `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${i === 0 && Draw.px.length >= 3 ? 6 : 4}"/>`).join('');
+    svgOverlay.appendChild(g);
+  }
+
+  /** "In South of the canal" on result cards inside a saved area. */
+  function flagListingsInAreas() {
+    const areas = settings.enabled ? settings.areas || [] : [];
+    for (const card of ListingProvider.cards(ListingProvider.get())) {
+      let flag = card.el.querySelector('.dt-area-flag');
+      const inside = card.listing ? areasAt(card.listing, areas) : [];
+      if (!inside.length) { if (flag) flag.remove(); continue; }
+      if (!flag) {
+        flag = document.createElement('span');
+        flag.className = 'dt-area-flag';
+        card.el.appendChild(flag);
+      }
+      flag.textContent = `In ${inside.map(a => a.name).join(', ')}`;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  MAP CONTROL PANEL  (the popup's toggles beside Daft's map controls)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const PANEL_TOGGLES = [
+    ['luasLines', 'Luas lines'], ['luasStops', 'Luas stops'],
+    ['dartLines', 'DART lines'], ['dartStations', 'DART stations'],
+    ['irishRailLines', 'Rail lines'], ['irishRailStations', 'Rail stations'],
+    ['futureLines', 'Planned lines'], ['futureStations', 'Planned stations'],
+    ['stepFreeOnly', 'Hide not step-free'],
+    ['stopLabels', 'Stop names'], ['coverage', 'Coverage']
+  ];
+  let _controlsOpen = false;  // per page; collapsed until asked
+
+  /**
+   * Writes go to storage like the popup's, and come back through the
+   * onChanged listener — which is also how the panel follows the popup.
+   */
+  function ensureControlPanel() {
+    const mc = MapAdapter.container;
+    let panel = document.getElementById('dt-control-panel');
+    if (!settings.controlPanel || !mc) { if (panel) panel.remove(); return; }
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'dt-control-panel';
+      panel.innerHTML =
+        '<div class="dt-cp-head"><button type="button" class="dt-cp-open" aria-expanded="false">Transit</button>' +
+        '<label class="dt-cp-master" title="Transit overlay on / off (Alt+Shift+T)"><input type="checkbox" data-key="enabled"></label></div>' +
+        '<div class="dt-cp-body">' +
+        PANEL_TOGGLES.map(([key, label]) => `<label><input type="checkbox" data-key="${key}">${label}</label>`).join('') +
+        '<label class="dt-cp-opacity">Opacity<input type="range" data-key="opacity" min="10" max="100" step="5"></label>' +
+        '<div class="dt-cp-hint">Alt+Shift+L cycles the layers</div></div>';
+      panel.addEventListener('change', e => {
+        const input = e.target.closest('[data-key]');
+        if (!input) return;
+        DaftSettings.update(chrome.storage.local, { [input.dataset.key]: input.type === 'checkbox' ? input.checked : +input.value });
+      });
+      panel.querySelector('.dt-cp-open').addEventListener('click', () => {
+        _controlsOpen = !_controlsOpen;
+        ensureControlPanel();
+      });
+      // Clicks, drags and wheel turns in the panel aren't for the map
+      for (const type of ['click', 'dblclick', 'mousedown', 'touchstart', 'wheel']) {
+        panel.addEventListener(type, e => e.stopPropagation(), { passive: true });
+      }
+    }
+    // Into MapLibre's top-right control corner where there is one, as a control of its own
+    const corner = mc.querySelector('.maplibregl-ctrl-top-right, .mapboxgl-ctrl-top-right');
+    const host = corner || mc;
+    if (panel.parentElement !== host) host.appendChild(panel);
+    panel.className = corner ? 'maplibregl-ctrl mapboxgl-ctrl' : 'dt-cp-floating';
+    panel.classList.toggle('dt-cp-expanded', _controlsOpen);
+    panel.classList.toggle('dt-cp-off', !settings.enabled);
+    panel.querySelector('.dt-cp-open').setAttribute('aria-expanded', String(_controlsOpen));
+    for (const input of panel.querySelectorAll('[data-key]')) {
+      const v = settings[input.dataset.key];
+      if (input.type === 'checkbox') input.checked = v;
+      else if (document.activeElement !== input) input.value = v;
+    }
+  }
+
+  /** A moment's confirmation, e.g. of a keyboard shortcut. */
+  let noticeTimer = null;
+  function showNotice(text) {
+    let el = document.getElementById('dt-notice');
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'dt-notice';
+      el.setAttribute('role', 'status');
+      document.body.appendChild(el);
+    }
+    el.textContent = text;
+    el.classList.add('dt-notice-shown');
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => el.classList.remove('dt-notice-shown'), 1600);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  ROUTE HIGHLIGHT  (one named line and its stops lit, the rest dimmed)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const LINE_HIT_PX = 6;      // how near a click must be to a drawn line
+  let _routeInfo = null;
+  let _lineHits  = [];        // [{ route, px: [{x, y}, …] }] as the SVG drew them
+
+  /**
+   * The route's name and the ids of the stops it serves — those the
+   * journey planner's network snaps onto one of its lines.  null for no
+   * route, or one the bundled data doesn't have (any more).
+   * @returns {{ route, name, mode, line, stops: Set<string> }|null}
+   */
+  function routeInfo(data, route) {
+    if (!route) return null;
+    if (_routeInfo && _routeInfo.data === data && _routeInfo.route === route) return _routeInfo;
+    const f = [...data.luasLines.features, ...data.railLines.features].find(f => f.properties.route === route);
+    if (!f) return null;
+    const { routeName, mode, line } = f.properties;
+    const stops = new Set();
+    for (const s of getNetwork(data, _headways).stops) {
+      // A Luas stop by the other line's track isn't on this one (as labelRanks())
+      const on = s.lines.some(l => l.route === route && (l.mode !== 'luas' || s.props.line === 'Both' || l.line === s.props.line));
+      if (on) stops.add(s.props.id);
+    }
+    _routeInfo = { data, route, name: routeName || f.properties.name, mode, line, stops };
+    return _routeInfo;
+  }
+
+  /** The route of the topmost drawn line within LINE_HIT_PX of an overlay point. */
+  function lineAt(pt) {
+    let best = null, bestD = LINE_HIT_PX;
+    for (const { route, px } of _lineHits) {
+      for (let i = 1; i < px.length; i++) {
+        const a = px[i - 1], b = px[i];
+        const dx = b.x - a.x, dy = b.y - a.y, len2 = dx * dx + dy * dy;
+        const t = len2 ? Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / len2)) : 0;
+        const d = Math.hypot(a.x + t * dx - pt.x, a.y + t * dy - pt.y);
+        if (d <= bestD) { best = route; bestD = d; }   // later lines paint on top
+      }
+    }
+    return best;
+  }
+
+  /** Highlight a route, or clear it when it's the one already lit. */
+  function toggleHighlight(route) {
+    DaftSettings.update(chrome.storage.local, s => ({ highlightRoute: s.highlightRoute === route ? '' : route }));
+  }
+
+  /**
+   * Clicks on the map itself, for the SVG overlay — with native layers the
+   * page script hit-tests them and sends MSG.LINE_CLICK instead.
+   */
+  function onMapClick(e) {
+    if (!overlayVisible || Draw.active || NativeRenderer.active || !svgOverlay) return;
+    if (e.target !== MapAdapter.surface && e.target !== svgOverlay && e.target.tagName !== 'CANVAS') return;
+    const route = lineAt(overlayPoint(e));
+    if (route) toggleHighlight(route);
+  }
+
+  /** "Maynooth line ×" at the top of the map while a route is highlighted. */
+  function ensureRouteChip(info) {
+    const mc = MapAdapter.container;
+    let chip = document.getElementById('dt-route-chip');
+    if (!info || !settings.enabled || !mc) { if (chip) chip.remove(); return; }
+    if (!chip) {
+      chip = document.createElement('div');
+      chip.id = 'dt-route-chip';
+      chip.innerHTML = '<span class="dt-rc-name"></span><button type="button" title="Show every line again" aria-label="Clear highlight">×</button>';
+      chip.querySelector('button').addEventListener('click', e => {
+        e.stopPropagation();
+        toggleHighlight(settings.highlightRoute);
+      });
+      for (const type of ['dblclick', 'mousedown', 'touchstart', 'wheel']) {
+        chip.addEventListener(type, e => e.stopPropagation(), { passive: true });
+      }
+    }
+    if (chip.parentElement !== mc) mc.appendChild(chip);
+    const name = chip.querySelector('.dt-rc-name');
+    name.textContent = info.name;
+    name.style.borderColor = info.mode === 'luas' ? colorForLuasLine(info.line) : colorForRailLine(info.line, info.route);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  KEYBOARD & SCREEN READERS  (stops in view as a tab order; a live count)
+  // ═══════════════════════════════════════════════════════════════════
+
+  /** The map's size in overlay pixels, for what counts as in view. */
+  function viewRect() {
+    return MapAdapter.getViewport()?.containerRect || MapAdapter.surface?.getBoundingClientRect() || null;
+  }
+
+  /**
+   * With native layers the overlay draws nothing else, so just the focus
+   * layer — redone after every move, as the map doesn't ask for a render.
+   */
+  async function drawStopAccess(data, settings) {
+    const scene = buildScene(data, settings, viewOf(MapAdapter.getViewport()));
+    const px = scene.stops.length ? await MapAdapter.project(scene.stops.map(s => ({ lat: s.lat, lng: s.lng }))) : [];
+    if (!px || !svgOverlay || !overlayVisible) return;
+    const focused = focusedStopId();
+    svgOverlay.querySelector('#dt-stop-access')?.remove();
+    svgOverlay.insertAdjacentHTML('beforeend', DaftSvgOverlay.stopAccessSVG(scene.stops, px, viewRect()));
+    restoreStopFocus(focused);
+    announceStops(scene.stops, px);
+    wireTooltips();
+  }
+
+  /** data-id of the focused stop button, to focus it again once redrawn. */
+  function focusedStopId() {
+    const el = document.activeElement;
+    return el && svgOverlay?.contains(el) && el.classList.contains('dt-stop-focus') ? el.dataset.id : null;
+  }
+
+  function restoreStopFocus(id) {
+    if (!id) return;
+    const g = [...svgOverlay.querySelectorAll('.dt-stop-focus')].find(g => g.dataset.id === id);
+    if (g) g.focus({ preventScroll: true });
+  }
+
+  /** Tell screen readers what the view now holds, in a visually hidden live region. */
+  function announceStops(stops, px) {
+    let live = document.getElementById('dt-live');
+    if (!live) {
+      live = document.createElement('div');
+      live.id = 'dt-live';
+      live.setAttribute('role', 'status');
+      live.setAttribute('aria-live', 'polite');
+      document.body.appendChild(live);
+    }
+    live.textContent = DaftSvgOverlay.describeStopsInView(DaftSvgOverlay.stopsInView(stops, px, viewRect()));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  LISTING ANNOTATIONS  (nearest-stop badge on search result cards)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const MAX_BADGE_MINUTES = 30;
+
+  function nearestStop(point, stops) {
+    let best = null;
+    for (const s of stops) {
+      const d = distanceMeters(point, s);
+      if (!best || d < best.meters) best = { stop: s, meters: d };
+    }
+    if (best) best.minutes = Math.max(1, Math.round(best.meters / WALK_M_PER_MIN));
+    return best;
+  }
+
+  function stopLabel(stop) {
+    if (stop.kind === 'luas') return stop.props.line ? `Luas ${stop.props.line}` : 'Luas';
+    return stop.kind === 'dart' ? 'DART' : 'Irish Rail';
+  }
+
+  const ListingProvider = {
+    /**
+     * Listings Daft server-rendered into the page (search results and detail pages).
+     * @returns {Map<string, {id, title, path, lat, lng}>}
+     */
+    get() {
+      const out = new Map();
+      const el = document.getElementById('__NEXT_DATA__');
+      if (!el) return out;
+      let pageProps;
+      try { pageProps = JSON.parse(el.textContent).props.pageProps; }
+      catch (e) { return out; }
+      const raw = (pageProps.listings || []).map(l => l.listing || l);
+      if (pageProps.listing) raw.push(pageProps.listing);
+      for (const l of raw) {
+        const c = l && l.point && l.point.coordinates;
+        if (!c || l.id == null) continue;
+        out.set(String(l.id), {
+          id: String(l.id), title: l.title || '', path: l.seoFriendlyPath || '',
+          lat: c[1], lng: c[0]
+        });
+      }
+      return out;
+    },
+
+    /** The listing this page is about, if it's a property detail page. */
+    current() {
+      const id = (location.pathname.match(/\/(\d+)\/?$/) || [])[1];
+      return (id && this.get().get(id)) || null;
+    },
+
+    /** The search results list, if this is a search page. */
+    resultsList() {
+      return document.querySelector('ul[data-testid="results"], ul[data-testid="card-list"]');
+    },
+
+    /**
+     * Result cards on a search page, paired with their listing (null for
+     * ads and cards Daft didn't server-render).
+     */
+    cards(listings) {
+      const list = this.resultsList();
+      if (!list) return [];
+      return [...list.children].filter(li => li.tagName === 'LI').map(li => {
+        const a = li.querySelector('a[href]');
+        const id = a && (a.getAttribute('href').match(/\/(\d+)\/?(?:[?#]|$)/) || [])[1];
+        return { el: li, listing: (id && listings.get(id)) || null };
+      });
+    }
+  };
+
+  const LISTING_KINDS = { luas: 'Luas', dart: 'DART', rail: 'Irish Rail' };
+  const _nearCache = new Map(); // `${listingId}|${stopsKey}` → nearest per kind
+
+  function nearestByKind(listing, stopsByKind, key) {
+    const ck = listing.id + '|' + key;
+    if (_nearCache.has(ck)) return _nearCache.get(ck);
+    const out = { any: null };
+    for (const k of Object.keys(stopsByKind)) {
+      out[k] = nearestStop(listing, stopsByKind[k]);
+      if (out[k] && (!out.any || out[k].meters < out.any.meters)) out.any = out[k];
+    }
+    _nearCache.set(ck, out);
+    return out;
+  }
+
+  // ── Transit score (formula and weights in lib/transitScore.js) ──
+
+  let _scoreStops = null;
+
+  /** Every Luas stop and rail station with the lines serving it.  Layer toggles don't change a score. */
+  async function scoreStops(data) {
+    _headways = await TransitDataProvider.getHeadways();
+    const net = getNetwork(data, _headways);
+    if (_scoreStops && _scoreStops.net === net) return _scoreStops.stops;
+    const stops = net.stops.map(s => ({
+      lat: s.lat, lng: s.lng, kind: s.kind, name: s.props.name, label: stopLabel(s),
+      lines: linesAt({ id: s.props.id, mode: s.kind === 'luas' ? 'luas' : 'rail', line: s.props.line }, net)
+    }));
+    _scoreStops = { net, stops };
+    return stops;
+  }
+
+  /** The stops a score is made of, biggest share first. */
+  function scoreBreakdown(result, max = 4) {
+    return result.counted.slice(0, max).map(c =>
+      `${c.stop.label} · ${c.stop.name} · ${Math.max(1, Math.round(c.meters / WALK_M_PER_MIN))} min walk`);
+  }
+
+  async function annotateListings(settings) {
+    const on = settings.enabled && settings.listingBadges;
+    const data = on ? await TransitDataProvider.getAll() : null;
+    const stops = data ? visibleStops(data, settings) : [];
+    const cards = ListingProvider.cards(ListingProvider.get());
+    if (!on || stops.length === 0) { clearListingUI(cards); return; }
+    if (cards.length === 0) return;
+
+    const key = [settings.luasStops, settings.dartStations, settings.irishRailStations, settings.stepFreeOnly].join();
+    const byKind = {};
+    for (const s of stops) (byKind[s.kind] = byKind[s.kind] || []).push(s);
+    const scoring = await scoreStops(data);
+
+    for (const card of cards) {
+      if (!card.listing) continue;
+      card.near = nearestByKind(card.listing, byKind, key);
+      let badge = card.el.querySelector('.dt-listing-badge');
+      if (badge && badge.dataset.key === key) continue;
+
+      const near = card.near.any;
+      if (!badge) {
+        badge = document.createElement('div');
+        badge.className = 'dt-listing-badge';
+        card.el.appendChild(badge);
+      }
+      badge.dataset.key = key;
+      badge.dataset.mode = near.stop.kind;
+      badge.textContent = near.minutes <= MAX_BADGE_MINUTES
+        ? `${stopLabel(near.stop)} · ${near.stop.props.name} · ${near.minutes} min walk`
+        : `No station within ${MAX_BADGE_MINUTES} min walk`;
+      const result = DaftTransitScore.score(card.listing, scoring);
+      const pill = document.createElement('span');
+      pill.className = 'dt-badge-score';
+      pill.textContent = result.score;
+      badge.prepend(pill);
+      badge.title = [`Transit score ${result.score}/100 — ${result.band}`, ...scoreBreakdown(result)].join('\n');
+    }
+
+    ensureListingControls(Object.keys(byKind));
+    applyListingOrder(cards, settings, byKind);
+  }
+
+  // ── Sort / filter control above the results list ──
+
+  const LISTING_WALK_MINUTES = [5, 10, 20];
+
+  function ensureListingControls(kinds) {
+    const list = ListingProvider.resultsList();
+    let bar = document.getElementById('dt-listing-controls');
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'dt-listing-controls';
+      const walkOpts = LISTING_WALK_MINUTES.map(min => `<option value="${min}">within ${min} min</option>`).join('');
+      bar.innerHTML =
+        '<span class="dt-lc-title">Transit</span>' +
+        '<select data-key="listingSort"><option value="daft">Daft order</option><option value="walk">Nearest first</option></select>' +
+        `<select data-key="listingMaxWalk"><option value="0">Any distance</option>${walkOpts}</select>` +
+        '<select data-key="listingMode"></select>' +
+        '<select data-key="listingArea"></select>' +
+        '<span class="dt-lc-count"></span>';
+      bar.addEventListener('change', e => {
+        const sel = e.target.closest('select');
+        if (!sel) return;
+        DaftSettings.update(chrome.storage.local, { [sel.dataset.key]: sel.dataset.key === 'listingMaxWalk' ? +sel.value : sel.value });
+      });
+    }
+    if (bar.nextElementSibling !== list) list.parentElement.insertBefore(bar, list);
+
+    const areaSel = bar.querySelector('[data-key="listingArea"]');
+    const areas = settings.areas || [];
+    if (!areas.some(a => a.id === settings.listingArea)) settings.listingArea = '';
+    if (areaSel.dataset.areas !== JSON.stringify(areas.map(a => [a.id, a.name]))) {
+      areaSel.dataset.areas = JSON.stringify(areas.map(a => [a.id, a.name]));
+      areaSel.innerHTML = '<option value="">anywhere</option>' +
+        areas.map(a => `<option value="${esc(a.id)}">in ${esc(a.name)}</option>`).join('');
+    }
+    areaSel.hidden = areas.length === 0;
+
+    const modeSel = bar.querySelector('[data-key="listingMode"]');
+    if (modeSel.dataset.kinds !== kinds.join()) {
+      modeSel.dataset.kinds = kinds.join();
+      modeSel.innerHTML = '<option value="any">of any stop</option>' +
+        kinds.map(k => `<option value="${k}">of ${LISTING_KINDS[k]}</option>`).join('');
+    }
+    for (const sel of bar.querySelectorAll('select')) {
+      const v = String(settings[sel.dataset.key]);
+      sel.value = [...sel.options].some(o => o.value === v) ? v : sel.options[0].value;
+    }
+  }
+
+  function applyListingOrder(cards, settings, byKind) {
+    // A mode that's been toggled off since it was picked falls back to "any"
+    const kind = byKind[settings.listingMode] ? settings.listingMode : 'any';
+    const max = +settings.listingMaxWalk || 0;
+    const minutesOf = c => (c.near && c.near[kind]) ? c.near[kind].minutes : Infinity;
+    const area = (settings.areas || []).find(a => a.id === settings.listingArea);
+    const outside = c => area && !DaftGeometry.pointInPolygon([c.listing.lng, c.listing.lat], area.coords);
+
+    let shown = 0, known = 0;
+    cards.forEach((c, i) => {
+      if (c.el.dataset.dtOrder === undefined) c.el.dataset.dtOrder = i;
+      // Cards we have no coordinates for (ads, late-loaded) are never hidden
+      const hide = !!c.listing && ((max > 0 && minutesOf(c) > max) || outside(c));
+      c.el.classList.toggle('dt-listing-hidden', hide);
+      if (c.listing) { known++; if (!hide) shown++; }
+    });
+
+    const sorted = cards.slice().sort(settings.listingSort === 'walk'
+      ? (a, b) => minutesOf(a) - minutesOf(b) || a.el.dataset.dtOrder - b.el.dataset.dtOrder
+      : (a, b) => a.el.dataset.dtOrder - b.el.dataset.dtOrder);
+    // Only touch the DOM when the order actually changes — moving nodes
+    // feeds back into the MutationObserver that schedules this pass.
+    if (sorted.some((c, i) => c !== cards[i])) {
+      const list = cards[0].el.parentElement;
+      for (const c of sorted) list.appendChild(c.el);
+    }
+
+    const count = document.querySelector('#dt-listing-controls .dt-lc-count');
+    if (count) count.textContent = max > 0 || area ? `${shown} of ${known} listings` : '';
+  }
+
+  function clearListingUI(cards) {
+    for (const c of cards) {
+      const badge = c.el.querySelector('.dt-listing-badge');
+      if (badge) badge.remove();
+      c.el.classList.remove('dt-listing-hidden');
+    }
+    const bar = document.getElementById('dt-listing-controls');
+    if (bar) bar.remove();
+    if (cards.length) applyListingOrder(cards, { listingSort: 'daft' }, {});
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  TRANSIT NETWORK & JOURNEY PLANNER
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Average in-service speeds, including acceleration between stops
+  const RIDE_KMH = { luas: 22, dart: 32, commuter: 45, rail: 65 };
+  const DWELL_MIN          = 0.5;   // per intermediate stop
+  const TRANSFER_MIN       = 5;     // each boarding after the first
+  const SNAP_LINE_M        = 120;   // a stop this close to a line is served by it
+  const INTERCHANGE_WALK_M = 400;   // walkable links between separate stops
+  const MAX_ACCESS_M       = 2000;  // furthest we'll walk to / from the network
+  // Typical peak headway, assumed where data/headways.json has nothing for
+  // a stop (or isn't bundled); such waits are shown as typical
+  const DEFAULT_HEADWAY    = { luas: 5, dart: 10, commuter: 20, rail: 60 };
+
+  function rideKind(props) {
+    if (props.mode === 'luas') return 'luas';
+    const l = (props.line || '').toLowerCase();
+    return l === 'dart' || l === 'commuter' ? l : 'rail';
+  }
+
+  /** Metres from p to segment a–b, and how far along a–b (0…1) the foot is. */
+  function pointToSegment(p, a, b) {
+    const mx = M_PER_DEG_LAT * Math.cos(p.lat * Math.PI / 180);
+    const ax = (a[0] - p.lng) * mx, ay = (a[1] - p.lat) * M_PER_DEG_LAT;
+    const bx = (b[0] - p.lng) * mx, by = (b[1] - p.lat) * M_PER_DEG_LAT;
+    const dx = bx - ax, dy = by - ay, len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    return { meters: Math.hypot(ax + t * dx, ay + t * dy), t };
+  }
+
+  /** Binary min-heap of [priority, value] pairs, for the Dijkstra searches. */
+  function minHeap() {
+    const h = [];
+    return {
+      get size() { return h.length; },
+      push(item) {
+        h.push(item);
+        let i = h.length - 1;
+        while (i > 0) { const p = (i - 1) >> 1; if (h[p][0] <= h[i][0]) break; [h[p], h[i]] = [h[i], h[p]]; i = p; }
+      },
+      pop() {
+        const top = h[0], last = h.pop();
+        if (h.length) {
+          h[0] = last;
+          for (let i = 0;;) {
+            let m = i; const l = 2 * i + 1, r = l + 1;
+            if (l < h.length && h[l][0] < h[m][0]) m = l;
+            if (r < h.length && h[r][0] < h[m][0]) m = r;
+            if (m === i) break;
+            [h[m], h[i]] = [h[i], h[m]]; i = m;
+          }
+        }
+        return top;
+      }
+    };
+  }
+
+  let _network = null;
+
+  /**
+   * Graph of the bundled network.  Nodes 0…stops.length-1 are stop
+   * "concourses"; each line serving a stop adds a platform node.  Edges:
+   * ride (platform ↔ next platform on the same line), board (concourse →
+   * platform, costs TRANSFER_MIN + the expected wait) alight (platform →
+   * concourse, free) and walk (concourse ↔ concourse within
+   * INTERCHANGE_WALK_M).  A journey's first boarding goes straight from the
+   * origin to a platform, so it pays the wait but not the transfer penalty.
+   * Expected wait is half the stop's peak headway — commutes are peak trips.
+   */
+  function getNetwork(data, headways) {
+    if (_network && _network.data === data && _network.headways === headways) return _network;
+    const stops = [];
+    const addStops = (fc, kindOf) => {
+      for (const f of fc.features) {
+        const c = f.geometry.coordinates;
+        stops.push({ lat: c[1], lng: c[0], kind: kindOf(f), props: f.properties, lines: [] });
+      }
+    };
+    addStops(data.luasStops, () => 'luas');
+    addStops(data.railStations, f => isDart(f) ? 'dart' : 'rail');
+
+    const node = stops.map((s, i) => ({ stop: i, line: null, wait: 0, typical: false }));
+    const adj = stops.map(() => []);
+    const addNode = (stop, line, wait, typical) => { node.push({ stop, line, wait, typical }); adj.push([]); return node.length - 1; };
+    const link = (a, b, min, type) => adj[a].push([b, min, type]);
+
+    const addLines = (fc, stopMode) => {
+      for (const f of fc.features) {
+        const coords = f.geometry.type === 'MultiLineString'
+          ? f.geometry.coordinates.flat() : f.geometry.coordinates;
+        let w = Infinity, e = -Infinity, so = Infinity, n = -Infinity;
+        for (const [x, y] of coords) { w = Math.min(w, x); e = Math.max(e, x); so = Math.min(so, y); n = Math.max(n, y); }
+        const cum = [0];
+        for (let i = 1; i < coords.length; i++)
+          cum.push(cum[i-1] + distanceMeters({ lng: coords[i-1][0], lat: coords[i-1][1] }, { lng: coords[i][0], lat: coords[i][1] }));
+
+        // Linear-reference each nearby stop onto the line
+        const hits = [];
+        stops.forEach((s, si) => {
+          if ((stopMode === 'luas') !== (s.kind === 'luas')) return;
+          if (s.lng < w - 0.003 || s.lng > e + 0.003 || s.lat < so - 0.002 || s.lat > n + 0.002) return;
+          let best = null;
+          for (let i = 1; i < coords.length; i++) {
+            const r = pointToSegment(s, coords[i-1], coords[i]);
+            if (r.meters <= SNAP_LINE_M && (!best || r.meters < best.meters))
+              best = { meters: r.meters, along: cum[i-1] + r.t * (cum[i] - cum[i-1]) };
+          }
+          if (best) hits.push({ si, along: best.along });
+        });
+        hits.sort((a, b) => a.along - b.along);
+
+        const kind = rideKind(f.properties);
+        const kmh = RIDE_KMH[kind];
+        let prev = null;
+        for (const h of hits) {
+          const headway = headwayAt(stops[h.si].props.id, 'peak');
+          const wait = (headway || DEFAULT_HEADWAY[kind]) / 2;
+          const p = addNode(h.si, f.properties, wait, !headway);
+          stops[h.si].lines.push(f.properties);
+          link(h.si, p, TRANSFER_MIN + wait, 'board');
+          link(p, h.si, 0, 'alight');
+          if (prev) {
+            const min = (h.along - prev.along) / 1000 / kmh * 60 + DWELL_MIN;
+            link(prev.node, p, min, 'ride');
+            link(p, prev.node, min, 'ride');
+          }
+          prev = { node: p, along: h.along };
+        }
+      }
+    };
+    addLines(data.luasLines, 'luas');
+    addLines(data.railLines, 'rail');
+
+    for (let i = 0; i < stops.length; i++) for (let j = i + 1; j < stops.length; j++) {
+      const d = distanceMeters(stops[i], stops[j]);
+      if (d > INTERCHANGE_WALK_M) continue;
+      link(i, j, d / WALK_M_PER_MIN, 'walk');
+      link(j, i, d / WALK_M_PER_MIN, 'walk');
+    }
+
+    _network = { data, headways, stops, node, adj };
+    return _network;
+  }
+
+  /**
+   * Door-to-door estimate: walk → ride(s) → walk, or walking the whole way
+   * when that's quicker.
+   * @returns {{minutes, legs: Array<{type:'walk'|'ride', minutes, from?, to?, line?, wait?, typical?}>}}
+   *          typical: the wait is from DEFAULT_HEADWAY, not the stop's timetable
+   */
+  function planJourney(net, from, to) {
+    const walkMin = (a, b) => distanceMeters(a, b) / WALK_M_PER_MIN;
+    const direct = { minutes: walkMin(from, to), legs: [{ type: 'walk', minutes: walkMin(from, to) }] };
+
+    const dist = new Float64Array(net.node.length).fill(Infinity);
+    const prev = new Array(net.node.length).fill(null);
+    const heap = minHeap();
+    net.stops.forEach((s, si) => {
+      const m = walkMin(from, s);
+      if (m * WALK_M_PER_MIN > MAX_ACCESS_M) return;
+      for (const [p, , type] of net.adj[si]) {
+        const t = m + net.node[p].wait;
+        if (type !== 'board' || t >= dist[p]) continue;
+        dist[p] = t; prev[p] = { from: -1, type: 'walk', walk: m };
+        heap.push([t, p]);
+      }
+    });
+    while (heap.size) {
+      const [d, u] = heap.pop();
+      if (d > dist[u]) continue;
+      for (const [v, w, type] of net.adj[u]) {
+        if (d + w >= dist[v]) continue;
+        dist[v] = d + w; prev[v] = { from: u, type };
+        heap.push([dist[v], v]);
+      }
+    }
+
+    let best = null;
+    net.stops.forEach((s, si) => {
+      const m = walkMin(s, to);
+      if (m * WALK_M_PER_MIN > MAX_ACCESS_M || !isFinite(dist[si])) return;
+      if (!best || dist[si] + m < best.minutes) best = { minutes: dist[si] + m, end: si, tail: m };
+    });
+    if (!best || best.minutes >= direct.minutes) return direct;
+
+    // Walk the prev-chain back, folding consecutive edges into legs.
+    // Waiting / interchange time goes on the ride that follows it.
+    const legs = [{ type: 'walk', minutes: best.tail }];
+    const name = n => net.stops[net.node[n].stop].props.name;
+    let n = best.end;
+    while (n !== -1) {
+      const e = prev[n];
+      if (e.from === -1) {
+        legs[0].wait += dist[n] - e.walk;
+        legs[0].typical = net.node[n].typical;
+        legs.unshift({ type: 'walk', minutes: e.walk });
+        break;
+      }
+      const m = dist[n] - dist[e.from];
+      if (e.type === 'ride') {
+        const line = net.node[n].line;
+        if (legs[0].type === 'ride' && legs[0].line === line) { legs[0].minutes += m; legs[0].from = name(e.from); }
+        else legs.unshift({ type: 'ride', line, from: name(e.from), to: name(n), minutes: m, wait: 0 });
+      } else if (e.type === 'walk') {
+        if (legs[0].type === 'walk') legs[0].minutes += m;
+        else legs.unshift({ type: 'walk', minutes: m });
+      } else if (e.type === 'board') {
+        legs[0].wait += m;
+        legs[0].typical = net.node[n].typical;
+      }
+      n = e.from;
+    }
+    return { minutes: best.minutes, legs };
+  }
+
+  // ── Commute panel on listing pages ──
+
+  let _panelDismissed = null;
+
+  function describeLeg(leg) {
+    const m = Math.max(1, Math.round(leg.minutes));
+    if (leg.type === 'walk') return `Walk ${m} min`;
+    const wait = Math.round(leg.wait);
+    return `${leg.line.name}: ${leg.from} → ${leg.to}, ${m} min` + (wait ? ` (+${wait} min ${leg.typical ? 'typical ' : ''}wait)` : '');
+  }
+
+  async function updateListingPanel(settings) {
+    const listing = ListingProvider.current();
+    const dests = settings.destinations || [];
+    let panel = document.getElementById('dt-listing-panel');
+    if (!settings.enabled || !listing || _panelDismissed === listing.id) {
+      if (panel) panel.remove();
+      return;
+    }
+    const data = await TransitDataProvider.getAll();
+    if (!data) return;
+    const result = DaftTransitScore.score(listing, await scoreStops(data));
+    const inAreas = areasAt(listing);
+    const net = getNetwork(data, _headways);
+
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'dt-listing-panel';
+      panel.addEventListener('click', e => {
+        if (!e.target.closest('.dt-lp-close')) return;
+        _panelDismissed = panel.dataset.listing;
+        panel.remove();
+      });
+      document.body.appendChild(panel);
+    }
+    panel.dataset.listing = listing.id;
+    panel.innerHTML =
+      '<div class="dt-lp-head"><span>Commute Check</span><button class="dt-lp-close" aria-label="Close">×</button></div>' +
+      `<div class="dt-lp-score" title="${esc(scoreBreakdown(result, 8).join('\n'))}"><span class="dt-lp-score-num">${result.score}</span>` +
+      `<span>Transit score · ${result.band}</span><button type="button" class="dt-star" data-id="${esc(listing.id)}"></button></div>` +
+      `<div class="dt-lp-legs">${esc(scoreBreakdown(result, 2).join(' · ') || `No Luas stop or rail station within a ${Math.round(DaftTransitScore.WEIGHTS.maxWalkM / WALK_M_PER_MIN)} min walk`)}</div>` +
+      (inAreas.length ? `<div class="dt-lp-area">In ${esc(inAreas.map(a => a.name).join(', '))}</div>` : '') +
+      dests.map(d => {
+        const j = planJourney(net, listing, d);
+        return `<div class="dt-lp-dest"><div class="dt-lp-row"><span class="dt-lp-name">${esc(d.name)}</span>` +
+          `<span class="dt-lp-time">~${Math.round(j.minutes)} min</span></div>` +
+          `<div class="dt-lp-legs">${esc(j.legs.map(describeLeg).join(' · '))}</div></div>`;
+      }).join('') +
+      (dests.length ? `<div class="dt-lp-note">${_headways
+        ? 'Estimate at peak times from bundled line geometry and frequencies.'
+        : 'Estimate at peak times from bundled line geometry. No timetables are bundled yet, so waits are typical ones.'}</div>` : '');
+    setStar(panel.querySelector('.dt-star'), Shortlist.has(listing.id));
+  }
+
+  let listingTimer = null;
+  function scheduleAnnotate() {
+    clearTimeout(listingTimer);
+    listingTimer = setTimeout(() => {
+      annotateListings(settings);
+      updateListingPanel(settings);
+      updateStars();
+      flagListingsInAreas();
+    }, 300);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  //  SHORTLIST  (starred listings, shown and exported by shortlist.html)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const { SHORTLIST_KEY } = DaftSettings;
+  const SHORTLIST_KINDS = ['luas', 'dart', 'rail'];
+
+  const Shortlist = {
+    /**
+     * @type {Array<{id, title, url, lat, lng, savedAt, score, band,
+     *               nearest: Object<kind, {name, label, meters, minutes}|null>}>}
+     */
+    items: [],
+
+    load() {
+      chrome.storage.local.get(SHORTLIST_KEY, r => {
+        this.items = r?.[SHORTLIST_KEY] || [];
+        updateStars();
+      });
+      // Removals from the shortlist page, or starring in another tab
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes[SHORTLIST_KEY]) return;
+        this.items = changes[SHORTLIST_KEY].newValue || [];
+        updateStars();
+      });
+    },
+
+    has(id) {
+      return this.items.some(x => x.id === id);
+    },
+
+    /** Star or un-star a listing; a new entry records its transit as it is today. */
+    async toggle(listing) {
+      if (this.has(listing.id)) {
+        this.items = this.items.filter(x => x.id !== listing.id);
+      } else {
+        const data = await TransitDataProvider.getAll();
+        if (!data) return;
+        this.items = [...this.items, await shortlistEntry(listing, data)];
+      }
+      chrome.storage.local.set({ [SHORTLIST_KEY]: this.items });
+      updateStars();
+    }
+  };
+
+  /** Nearest stop of each kind and the transit score — every stop counts, whatever the layer toggles. */
+  async function shortlistEntry(listing, data) {
+    const stops = await scoreStops(data);
+    const nearest = {};
+    for (const kind of SHORTLIST_KINDS) {
+      const near = nearestStop(listing, stops.filter(s => s.kind === kind));
+      nearest[kind] = near && { name: near.stop.name, label: near.stop.label, meters: Math.round(near.meters), minutes: near.minutes };
+    }
+    const result = DaftTransitScore.score(listing, stops);
+    return {
+      id: listing.id, title: listing.title, url: 'https://www.daft.ie' + listing.path,
+      lat: listing.lat, lng: listing.lng, savedAt: new Date().toISOString(),
+      score: result.score, band: result.band, nearest
+    };
+  }
+
+  function setStar(btn, on) {
+    btn.classList.toggle('dt-star-on', on);
+    btn.setAttribute('aria-pressed', String(on));
+    btn.textContent = on ? '★ Shortlisted' : '☆ Shortlist';
+  }
+
+  /** A star button on each result card, and on the detail-page panel. */
+  function updateStars() {
+    const on = settings.enabled;
+    for (const card of ListingProvider.cards(ListingProvider.get())) {
+      let btn = card.el.querySelector('.dt-star');
+      if (!on || !card.listing) { if (btn) btn.remove(); continue; }
+      if (!btn) {
+        btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'dt-star';
+        card.el.appendChild(btn);
+      }
+      btn.dataset.id = card.listing.id;
+      setStar(btn, Shortlist.has(card.listing.id));
+    }
+    const panelStar = document.querySelector('#dt-listing-panel .dt-star');
+    if (panelStar) setStar(panelStar, Shortlist.has(panelStar.dataset.id));
+  }
+
+  // Capture phase — cards are links, and Daft's handlers shouldn't see the click
+  function onStarClick(e) {
+    const btn = e.target.closest?.('.dt-star');
+    if (!btn) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const listing = ListingProvider.get().get(btn.dataset.id);
+    if (listing) Shortlist.toggle(listing);
+  }
 
   // ═══════════════════════════════════════════════════════════════════
   //  SETTINGS & STATE
@@ -425,24 +1717,19 @@
   let overlayVisible = false;
   let renderTimer    = null;
   let lastRender     = 0;
-  let settings = {
-    enabled: false,
-    luasLines: true, luasStops: true,
-    dartLines: true, dartStations: true,
-    irishRailLines: true, irishRailStations: true,
-    opacity: 75,
-    walkRadius5: true, walkRadius10: true, walkRadius20: false
-  };
+  let settings = DaftSettings.defaults();  // see lib/settings.js
 
   function loadSettings() {
-    chrome.storage?.local?.get('daftTransitSettings', r => {
-      if (r?.daftTransitSettings) {
-        Object.assign(settings, r.daftTransitSettings);
+    chrome.storage?.local?.get(DaftSettings.SETTINGS_KEY, r => {
+      if (r?.[DaftSettings.SETTINGS_KEY]) {
+        Object.assign(settings, DaftSettings.normalize(r[DaftSettings.SETTINGS_KEY]));
       }
       if (settings.enabled) {
         overlayVisible = true;
         scheduleRender();
       }
+      ensureControlPanel();
+      scheduleAnnotate();
     });
   }
 
@@ -460,12 +1747,12 @@
 
   // Listen for settings changes from the popup
   chrome.storage.onChanged.addListener((changes, area) => {
-    if (area !== 'local' || !changes.daftTransitSettings) return;
-    const newSettings = changes.daftTransitSettings.newValue;
+    if (area !== 'local' || !changes[DaftSettings.SETTINGS_KEY]) return;
+    const newSettings = changes[DaftSettings.SETTINGS_KEY].newValue;
     if (!newSettings) return;
 
     const wasEnabled = settings.enabled;
-    Object.assign(settings, newSettings);
+    Object.assign(settings, DaftSettings.normalize(newSettings));
 
     if (settings.enabled && !wasEnabled) {
       overlayVisible = true;
@@ -477,23 +1764,38 @@
     } else if (!settings.enabled && wasEnabled) {
       overlayVisible = false;
       if (svgOverlay) svgOverlay.innerHTML = '';
+      unpinStop();
+      if (Draw.active) finishDrawing(false);
+      ensureDrawButton();
+      ensureRouteChip(null);
+      NativeRenderer.clear();
       hideTip();
+      document.getElementById('dt-live')?.remove();
     } else if (settings.enabled) {
       scheduleRender();
     }
+    ensureControlPanel();
+    scheduleAnnotate();
   });
 
   // ═══════════════════════════════════════════════════════════════════
   //  MAP OBSERVATION
   // ═══════════════════════════════════════════════════════════════════
 
-  let mapObserved = false;
+  let mapObserved = null;   // container the listeners below are on
+  let mapListeners = null;  // { abort, resize } to take them off it again
   let wheelTimer = null;
   let urlPollId = null;
 
   function observeMap() {
-    if (mapObserved) return; // Prevent duplicate listeners
-    mapObserved = true;
+    if (mapObserved === MapAdapter.container) return; // Prevent duplicate listeners
+    mapObserved = MapAdapter.container;
+    // A map swapped out for another (see init()) keeps nothing of ours alive
+    if (mapListeners) {
+      mapListeners.abort.abort();
+      mapListeners.resize.disconnect();
+      mapListeners = null;
+    }
 
     const tryRender = () => {
       if (overlayVisible) {
@@ -502,16 +1804,26 @@
     };
 
     if (MapAdapter.container) {
-      new ResizeObserver(tryRender).observe(MapAdapter.container);
+      const abort = new AbortController(), signal = abort.signal;
+      const resize = new ResizeObserver(tryRender);
+      resize.observe(MapAdapter.surface);
+      mapListeners = { abort, resize };
 
       // Debounced wheel - clear previous timer to prevent queue buildup
       MapAdapter.container.addEventListener('wheel', () => {
         if (wheelTimer) clearTimeout(wheelTimer);
         wheelTimer = setTimeout(tryRender, 150);
-      }, { passive: true });
+      }, { passive: true, signal });
 
-      MapAdapter.container.addEventListener('mouseup',  () => setTimeout(tryRender, 200));
-      MapAdapter.container.addEventListener('touchend', () => setTimeout(tryRender, 200), { passive: true });
+      MapAdapter.container.addEventListener('mouseup',  () => setTimeout(tryRender, 200), { signal });
+
+      // A click (not the end of a drag) on a drawn line highlights its route
+      let downAt = null;
+      MapAdapter.container.addEventListener('mousedown', e => { downAt = [e.clientX, e.clientY]; }, { signal });
+      MapAdapter.container.addEventListener('click', e => {
+        if (downAt && Math.hypot(e.clientX - downAt[0], e.clientY - downAt[1]) <= 4) onMapClick(e);
+      }, { signal });
+      MapAdapter.container.addEventListener('touchend', () => setTimeout(tryRender, 200), { passive: true, signal });
     }
 
     // URL polling (Daft updates bounds in URL on search pages)
@@ -522,7 +1834,7 @@
         lastHref = location.href;
         MapAdapter.container = null;
         MapAdapter.found = false;
-        mapObserved = false; // Allow re-observing new container
+        mapObserved = null; // Allow re-observing new container
         if (MapAdapter.detect()) {
           ensureOverlay();
           observeMap();
@@ -540,31 +1852,44 @@
     loadSettings();
     MapAdapter.inject();
 
-    window.addEventListener('message', e => {
-      if (e.data?.type?.startsWith('DAFT_TRANSIT_')) {
-        MapAdapter.handleMessage(e.data);
-        if (e.data.type === 'DAFT_TRANSIT_MAP_FOUND') {
-          ensureOverlay();
-          observeMap();
-          if (overlayVisible) MapAdapter.requestViewport();
-        }
-        if (e.data.type === 'DAFT_TRANSIT_MAP_NOT_FOUND') {
-          if (MapAdapter.found && overlayVisible) scheduleRender();
-        }
-        if (e.data.type === 'DAFT_TRANSIT_MAP_VIEWPORT' && overlayVisible) {
-          // moveend arrived — allow re-render (transform cleared inside render())
-          _isPanning = false;
-          scheduleRender();
-        }
-        if (e.data.type === 'DAFT_TRANSIT_PAN_DELTA' && overlayVisible && svgOverlay) {
-          // Cheap CSS transform while panning — no DOM rebuild
-          _isPanning = true;
-          const { tx, ty, scale } = e.data.payload;
-          svgOverlay.style.transformOrigin = '0 0';
-          svgOverlay.style.transform = `translate(${tx.toFixed(1)}px, ${ty.toFixed(1)}px) scale(${scale.toFixed(6)})`;
-        }
+    // From pageScript.js — see lib/protocol.js
+    const atStop = ({ stop, x, y }) => ({ ...stop, x, y });
+    const onPageMessage = DaftProtocol.dispatcher({
+      [MSG.MAP_FOUND]() {
+        // A different map instance — it has none of our layers yet
+        NativeRenderer.active = false;
+        NativeRenderer.key = null;
+        ensureOverlay();
+        observeMap();
+        if (overlayVisible) MapAdapter.requestViewport();
+      },
+      [MSG.MAP_NOT_FOUND]() {
+        if (MapAdapter.found && overlayVisible) scheduleRender();
+      },
+      [MSG.MAP_VIEWPORT]() {
+        if (!overlayVisible) return;
+        // moveend arrived — allow re-render (transform cleared inside render())
+        _isPanning = false;
+        scheduleRender();
+      },
+      // Stop hovers and clicks on native layers, in map-container pixels
+      [MSG.STOP_ENTER]: p => showTip(atStop(p)),
+      [MSG.STOP_LEAVE]: () => hideTip(),
+      [MSG.STOP_CLICK]: p => pinStop(atStop(p)),
+      [MSG.LINE_CLICK]: p => { if (p.route) toggleHighlight(p.route); },
+      [MSG.PAN_DELTA]({ tx, ty, scale }) {
+        if (!overlayVisible || !svgOverlay || !MapAdapter.instanceAvailable || NativeRenderer.active) return;
+        // Cheap CSS transform while panning — no DOM rebuild
+        _isPanning = true;
+        svgOverlay.style.transformOrigin = '0 0';
+        svgOverlay.style.transform = `translate(${tx.toFixed(1)}px, ${ty.toFixed(1)}px) scale(${scale.toFixed(6)})`;
       }
     });
+    window.addEventListener('message', e => {
+      if (!DaftProtocol.isMessage(e.data)) return;
+      MapAdapter.handleMessage(e.data);
+      onPageMessage(e.data);
+    });
 
     // DOM watcher for map container — disconnect once found
     let domObserver = null;
@@ -584,6 +1909,45 @@
     // Safety: stop DOM watching after 30s regardless
     setTimeout(() => { if (domObserver) { domObserver.disconnect(); domObserver = null; } clearInterval(domPoll); }, 30000);
     check();
+
+    // Our own UI re-renders all the time, and mustn't set off the watchers below
+    const ours = '.dt-listing-badge, .dt-star, .dt-area-flag, #dt-draw-btn, #dt-area-name, #dt-control-panel, #dt-notice, #dt-route-chip, #dt-live, #dt-listing-controls, #dt-listing-panel, #daft-transit-svg-overlay, #dt-stop-panel, .daft-transit-tooltip';
+    const theirs = n => n.nodeType === 1 && !n.matches(ours);
+
+    // Listing pages open a "view on map" modal over the inline map and tear
+    // it down again — follow whichever map is on top
+    let swapTimer = null;
+    new MutationObserver(muts => {
+      if (!muts.some(m => !m.target.closest?.(ours) && [...m.addedNodes, ...m.removedNodes].some(theirs))) return;
+      clearTimeout(swapTimer);
+      swapTimer = setTimeout(() => {
+        const prev = MapAdapter.surface;
+        if (!MapAdapter.detect() || MapAdapter.surface === prev) return;
+        // Until the page script reports the new map's instance
+        MapAdapter.findMap();
+        MapAdapter.instanceAvailable = false;
+        MapAdapter.viewport = null;
+        NativeRenderer.active = false;
+        NativeRenderer.key = null;
+        ensureOverlay();
+        observeMap();
+        if (overlayVisible) scheduleRender();
+      }, 300);
+    }).observe(document.body, { childList: true, subtree: true });
+
+    // Result cards are rendered / replaced client-side as the search changes
+    new MutationObserver(muts => {
+      if (muts.some(m => !m.target.closest?.(ours) && [...m.addedNodes].some(theirs)))
+        scheduleAnnotate();
+    }).observe(document.body, { childList: true, subtree: true });
+
+    document.addEventListener('click', onStarClick, true);
+    Shortlist.load();
+
+    // From the keyboard shortcuts in background.js
+    chrome.runtime.onMessage.addListener(msg => {
+      if (msg?.type === MSG.NOTICE) showNotice(msg.text);
+    });
   }
 
   document.readyState === 'loading'
@@ -0,0 +1,236 @@
+/**
+ * geometry.js — viewport culling and per-zoom simplification for the overlay.
+ *
+ * Loaded as a content script ahead of contentScript.js (window.DaftGeometry)
+ * and required under Node by scripts/bench-render.js, so the benchmark runs
+ * the same code the extension does, and by scripts/lib/geo.js, so the data
+ * build measures distance the same way too.
+ *
+ *   lineIndex(features, zoomLevel) — grid index over short runs ("chunks")
+ *                                    of each line, simplified for that zoom
+ *   linesInView(index, bbox)       — visible chunks, re-joined per feature
+ *   pointIndex(features)           — grid index over point features
+ *   zoomLevel(zoom)                — the simplification bucket for a zoom
+ *   pointInPolygon(pt, ring)       — for user-drawn areas
+ *   project(points, vp)            — Web Mercator onto the map's pixels, for
+ *                                    maps the page script can't project for
+ *   unproject(x, y, vp)            — one pixel back to [lng, lat]
+ *   distanceMeters(a, b)           — haversine, between { lat, lng }s
+ *   distanceToSegment(p, a, b)     — metres from p to segment a–b, [lng, lat]s
+ *   M_PER_DEG_LAT                  — for flat-earth offsets at city scale
+ *
+ * A bbox is { west, south, east, north } in degrees; a viewport (vp) is
+ * { bounds: bbox, containerRect: { width, height } }, as MapAdapter's.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DaftGeometry = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const M_PER_DEG_LAT = 111320;
+  const CELL_DEG      = 0.05;   // ~5.5 × 3.3 km at Dublin's latitude
+  const CHUNK_POINTS  = 64;     // vertices per indexed run of a line
+  const MIN_LEVEL     = 6;      // all of Ireland; nothing coarser is drawn
+  const MAX_LEVEL     = 15;     // beyond this, full detail
+  const TILE_PX       = 512;    // MapLibre's world size at zoom 0
+  const REF_LAT       = 53.35;  // metres-per-pixel taken at Dublin
+
+  /** Integer zoom bucket the simplified geometry is cached under. */
+  function zoomLevel(zoom) {
+    if (zoom == null || Number.isNaN(zoom)) return MAX_LEVEL;
+    return Math.max(MIN_LEVEL, Math.min(MAX_LEVEL, Math.floor(zoom)));
+  }
+
+  /**
+   * Half a screen pixel in metres at the bucket's lowest zoom — at any zoom
+   * inside the bucket the simplified line is within a pixel of the original.
+   */
+  function toleranceFor(level) {
+    if (level >= MAX_LEVEL) return 0;
+    return 0.5 * 40075016 * Math.cos(REF_LAT * Math.PI / 180) / (TILE_PX * 2 ** level);
+  }
+
+  // Haversine — good to well under a metre at Dublin scale
+  function distanceMeters(a, b) {
+    const R = 6371000, rad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * rad, dLng = (b.lng - a.lng) * rad;
+    const h = Math.sin(dLat / 2) ** 2 +
+              Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+  }
+
+  /** Equirectangular, fine at these scales. */
+  function distanceToSegment(p, a, b) {
+    const mx = M_PER_DEG_LAT * Math.cos(p[1] * Math.PI / 180);
+    const ax = (a[0] - p[0]) * mx, ay = (a[1] - p[1]) * M_PER_DEG_LAT;
+    const bx = (b[0] - p[0]) * mx, by = (b[1] - p[1]) * M_PER_DEG_LAT;
+    const dx = bx - ax, dy = by - ay, len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+  }
+
+  /** Douglas–Peucker, tolerance in metres.  Iterative so long shapes can't blow the stack. */
+  function simplify(coords, toleranceM) {
+    if (coords.length < 3 || toleranceM <= 0) return coords;
+    const keep = new Uint8Array(coords.length);
+    keep[0] = keep[coords.length - 1] = 1;
+    const stack = [[0, coords.length - 1]];
+    while (stack.length) {
+      const [a, b] = stack.pop();
+      let worst = -1, worstD = toleranceM;
+      for (let i = a + 1; i < b; i++) {
+        const d = distanceToSegment(coords[i], coords[a], coords[b]);
+        if (d > worstD) { worstD = d; worst = i; }
+      }
+      if (worst < 0) continue;
+      keep[worst] = 1;
+      stack.push([a, worst], [worst, b]);
+    }
+    return coords.filter((c, i) => keep[i]);
+  }
+
+  function bboxOf(coords) {
+    const b = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+    for (const [x, y] of coords) {
+      if (x < b.west) b.west = x;
+      if (x > b.east) b.east = x;
+      if (y < b.south) b.south = y;
+      if (y > b.north) b.north = y;
+    }
+    return b;
+  }
+
+  /**
+   * Uniform lat/lng grid.  Items are returned in insertion order, which is
+   * paint order for the overlay.
+   */
+  function gridIndex() {
+    const cells = new Map();
+    const items = [];
+    const key = (cx, cy) => cx * 100000 + cy;
+    const span = b => [
+      Math.floor(b.west / CELL_DEG), Math.floor(b.south / CELL_DEG),
+      Math.floor(b.east / CELL_DEG), Math.floor(b.north / CELL_DEG)
+    ];
+    return {
+      items,
+      insert(bbox, item) {
+        const id = items.push(item) - 1;
+        const [x0, y0, x1, y1] = span(bbox);
+        for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) {
+          const k = key(x, y);
+          if (!cells.has(k)) cells.set(k, []);
+          cells.get(k).push(id);
+        }
+      },
+      query(bbox) {
+        const [x0, y0, x1, y1] = span(bbox);
+        const hit = new Uint8Array(items.length);
+        const take = ids => { for (const id of ids) hit[id] = 1; };
+        // A national view spans more cells than are occupied — walk the occupied ones
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > cells.size) {
+          for (const [k, ids] of cells) {
+            const x = Math.round(k / 100000), y = k - x * 100000;
+            if (x >= x0 && x <= x1 && y >= y0 && y <= y1) take(ids);
+          }
+        } else {
+          for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) {
+            const ids = cells.get(key(x, y));
+            if (ids) take(ids);
+          }
+        }
+        const out = [];
+        for (let i = 0; i < hit.length; i++) if (hit[i]) out.push(items[i]);
+        return out;
+      }
+    };
+  }
+
+  /**
+   * Index every LineString / MultiLineString part as runs of CHUNK_POINTS
+   * vertices, simplified for the zoom bucket.  Consecutive runs share their
+   * end vertex so they re-join seamlessly.
+   */
+  function lineIndex(features, level) {
+    const tol = toleranceFor(level);
+    const index = gridIndex();
+    features.forEach((f, fi) => {
+      const g = f.geometry;
+      const parts = g.type === 'MultiLineString' ? g.coordinates : [g.coordinates];
+      parts.forEach((part, pi) => {
+        const coords = simplify(part, tol);
+        for (let s = 0, ci = 0; s < coords.length - 1; s += CHUNK_POINTS - 1, ci++) {
+          const run = coords.slice(s, s + CHUNK_POINTS);
+          index.insert(bboxOf(run), { fi, pi, ci, coords: run });
+        }
+      });
+    });
+    return index;
+  }
+
+  /**
+   * Chunks of `index` touching `bbox`, merged back into one coordinate run
+   * per unbroken stretch.
+   * @returns {Array<{fi, parts: Array<Array<[lng, lat]>>}>} in feature order
+   */
+  function linesInView(index, bbox) {
+    const out = [];
+    let cur = null, last = null;
+    for (const c of index.query(bbox)) {
+      if (!cur || cur.fi !== c.fi) { cur = { fi: c.fi, parts: [] }; out.push(cur); last = null; }
+      if (last && last.pi === c.pi && last.ci === c.ci - 1) {
+        const run = cur.parts[cur.parts.length - 1];
+        for (let i = 1; i < c.coords.length; i++) run.push(c.coords[i]);
+      } else {
+        cur.parts.push(c.coords.slice());
+      }
+      last = c;
+    }
+    return out;
+  }
+
+  function pointIndex(features) {
+    const index = gridIndex();
+    for (const f of features) {
+      const [x, y] = f.geometry.coordinates;
+      index.insert({ west: x, east: x, south: y, north: y }, f);
+    }
+    return index;
+  }
+
+  /** Even-odd ray cast; `ring` is [[lng, lat], …], closed or not. */
+  function pointInPolygon([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  const mercY = lat => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2));
+
+  /** [{ lat, lng }] → [{ x, y }] in pixels from the viewport's top left. */
+  function project(points, vp) {
+    const { bounds: b, containerRect: r } = vp;
+    const yN = mercY(b.north), yS = mercY(b.south);
+    return points.map(p => ({
+      x: ((p.lng - b.west) / (b.east - b.west)) * r.width,
+      y: ((yN - mercY(p.lat)) / (yN - yS)) * r.height
+    }));
+  }
+
+  /** Inverse of project() for one pixel: [lng, lat]. */
+  function unproject(x, y, vp) {
+    const { bounds: b, containerRect: r } = vp;
+    const yN = mercY(b.north), yS = mercY(b.south);
+    const m = yN - (y / r.height) * (yN - yS);
+    return [b.west + (x / r.width) * (b.east - b.west), (2 * Math.atan(Math.exp(m)) - Math.PI / 2) * 180 / Math.PI];
+  }
+
+  return {
+    M_PER_DEG_LAT, distanceMeters, distanceToSegment, zoomLevel, toleranceFor,
+    simplify, bboxOf, gridIndex, lineIndex, linesInView, pointIndex, pointInPolygon, project, unproject
+  };
+});
@@ -0,0 +1,214 @@
+/**
+ * mapAdapter.js — finds the map on a Daft.ie page and tells the overlay
+ * where it is looking (window.DaftMapAdapter; requirable under Node, where
+ * the tests hand it a jsdom window).
+ *
+ *   create(deps)  — a MapAdapter for one page:
+ *     detect()            the map to draw on: MapLibre / Mapbox, else a static image
+ *     getViewport()       { bounds, containerRect, zoom?, center? } — from the
+ *                         page script, else the URL's bounds, else worked out
+ *                         from a listing's or a static map's centre and zoom
+ *     project(points)     via the page script's map instance; null without one
+ *     handleMessage(data) the page script's replies (lib/protocol.js)
+ *
+ * Static maps carry their centre, zoom and size in the image URL (Google,
+ * Mapbox and MapTiler forms, see _parseStaticURL()).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./protocol'));
+  else root.DaftMapAdapter = factory(root.DaftProtocol);
+})(typeof self !== 'undefined' ? self : this, function (DaftProtocol) {
+  'use strict';
+
+  const { MSG } = DaftProtocol;
+
+  const GL_MAP_SELECTOR     = '.maplibregl-map, .mapboxgl-map';
+  const STATIC_MAP_SELECTOR = 'img[src*="staticmap"], img[src*="api.mapbox.com/styles"], img[src*="api.maptiler.com/maps"]';
+  const LISTING_MAP_ZOOM    = 15;   // listing-page maps when nothing says otherwise
+
+  /**
+   * @param {Object} deps
+   * @param {Window} deps.window — the page's, for its DOM, URL and messages
+   * @param {function(string): string} deps.getURL — chrome.runtime.getURL
+   * @param {function(): ({lat, lng}|null)} deps.currentListing — the property a
+   *        listing page is about, to centre its map on
+   */
+  function create({ window, getURL, currentListing }) {
+    const document = window.document;
+    return {
+      container: null,   // element the overlay is inserted into
+      surface: null,     // element whose box is the map itself (an <img> for static maps)
+      kind: null,        // 'gl' | 'static'
+      found: false,
+      instanceAvailable: false,
+      viewport: null,
+      _pending: {},
+      _requestId: 0,
+
+      inject() {
+        const s = document.createElement('script');
+        s.src = getURL('pageScript.js');
+        s.onload = () => s.remove();
+        (document.head || document.documentElement).appendChild(s);
+      },
+
+      /**
+       * Pick the map to draw on.  A visible MapLibre / Mapbox map wins (the
+       * last one, so a "view on map" modal beats the inline map under it),
+       * then a visible static map image, then whatever is in the DOM.
+       */
+      detect() {
+        const shown = el => el.getBoundingClientRect().width > 0;
+        const gl  = [...document.querySelectorAll(GL_MAP_SELECTOR)];
+        const img = [...document.querySelectorAll(STATIC_MAP_SELECTOR)];
+        const el  = gl.filter(shown).pop() || img.filter(shown).pop() || gl[0] || img[0] || null;
+        this.kind      = el ? (el.tagName === 'IMG' ? 'static' : 'gl') : null;
+        this.surface   = el;
+        this.container = this.kind === 'static' ? el.parentElement : el;
+        if (this.kind === 'static') { this.instanceAvailable = false; this.viewport = null; }
+        if (this.container) { this.found = true; }
+        return this.found;
+      },
+
+      getViewport() {
+        if (this.kind === 'static') return this._viewportFromStatic();
+        if (this.viewport) return this.viewport;
+        return this._viewportFromURL() || this._viewportFromListing();
+      },
+
+      requestViewport() {
+        window.postMessage({ type: MSG.GET_VIEWPORT }, '*');
+      },
+
+      /** Has the page script look for the map instance again, after detect() moved. */
+      findMap() {
+        window.postMessage({ type: MSG.FIND_MAP }, '*');
+      },
+
+      project(points) {
+        return this._request(MSG.PROJECT_REQUEST, { points }, 1000);
+      },
+
+      /** Round-trip to the page script; resolves to null if it doesn't answer in time. */
+      _request(type, payload, timeout) {
+        return new Promise(resolve => {
+          const id = ++this._requestId;
+          this._pending[id] = resolve;
+          window.postMessage({ type, payload: { id, ...payload } }, '*');
+          setTimeout(() => {
+            if (this._pending[id]) {
+              delete this._pending[id];
+              resolve(null);
+            }
+          }, timeout);
+        });
+      },
+
+      handleMessage(data) {
+        switch (data.type) {
+          case MSG.MAP_FOUND:
+            this.found = true;
+            this.detect();
+            this.instanceAvailable = this.kind === 'gl';
+            break;
+          case MSG.MAP_NOT_FOUND:
+            this.instanceAvailable = false;
+            this.viewport = null;
+            this.detect();
+            break;
+          case MSG.MAP_VIEWPORT:
+            this.viewport = data.payload;
+            break;
+          case MSG.PROJECT_RESPONSE:
+          case MSG.NATIVE_RESULT: {
+            const { id, points, ok } = data.payload;
+            const cb = this._pending[id];
+            if (cb) { cb(points ?? ok); delete this._pending[id]; }
+            break;
+          }
+        }
+      },
+
+      _viewportFromURL() {
+        const u = new URL(window.location.href);
+        const n = parseFloat(u.searchParams.get('top'));
+        const s = parseFloat(u.searchParams.get('bottom'));
+        const w = parseFloat(u.searchParams.get('left'));
+        const e = parseFloat(u.searchParams.get('right'));
+        if ([n,s,w,e].some(Number.isNaN)) return null;
+        const r = this.container ? this.container.getBoundingClientRect() : null;
+        if (!r || r.width === 0) return null;
+        return {
+          bounds: { north: n, south: s, east: e, west: w },
+          containerRect: { top: r.top, left: r.left, width: r.width, height: r.height }
+        };
+      },
+
+      // Listing pages have no bounds in the URL; their maps open centred on
+      // the property
+      _viewportFromListing() {
+        const l = currentListing();
+        const r = this.surface ? this.surface.getBoundingClientRect() : null;
+        if (!l || !r || r.width === 0) return null;
+        return this._viewportAround({ lat: l.lat, lng: l.lng, zoom: LISTING_MAP_ZOOM, width: r.width, height: r.height, tileSize: 512 }, r);
+      },
+
+      _viewportFromStatic() {
+        const img = this.surface;
+        const r = img.getBoundingClientRect();
+        if (r.width === 0) return null;
+        const v = this._parseStaticURL(img.currentSrc || img.src);
+        const l = currentListing();
+        const lat = v.lat ?? l?.lat, lng = v.lng ?? l?.lng;
+        if (lat == null || lng == null) return null;
+        let width = v.width || r.width, height = v.height || r.height;
+        // object-fit: cover crops the requested image to the element's aspect ratio
+        if (window.getComputedStyle(img).objectFit === 'cover') {
+          const k = Math.max(r.width / width, r.height / height);
+          width = r.width / k; height = r.height / k;
+        }
+        return this._viewportAround({ lat, lng, zoom: v.zoom ?? LISTING_MAP_ZOOM, width, height, tileSize: v.tileSize }, r);
+      },
+
+      /**
+       * Centre, zoom and requested size from a static-map URL:
+       *   Google    …/staticmap?center=53.34,-6.25&zoom=15&size=640x320
+       *   Mapbox    …/styles/v1/…/static/[overlay/]-6.25,53.34,15[,bearing]/640x320@2x
+       *   MapTiler  …/maps/…/static/-6.25,53.34,15/640x320.png
+       */
+      _parseStaticURL(src) {
+        let u;
+        try { u = new URL(src, window.location.href); } catch (e) { return { tileSize: 256 }; }
+        if (u.pathname.includes('staticmap')) {
+          const c = (u.searchParams.get('center') || '').split(',').map(parseFloat);
+          const size = (u.searchParams.get('size') || '').split('x').map(Number);
+          const z = parseFloat(u.searchParams.get('zoom'));
+          return {
+            ...(c.length === 2 && !c.some(Number.isNaN) ? { lat: c[0], lng: c[1] } : {}),
+            ...(Number.isNaN(z) ? {} : { zoom: z }),
+            width: size[0] || 0, height: size[1] || 0, tileSize: 256
+          };
+        }
+        const m = u.pathname.match(/\/(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(\d+(?:\.\d+)?)(?:,[\d.]+)*\/(\d+)x(\d+)/);
+        return m ? { lng: +m[1], lat: +m[2], zoom: +m[3], width: +m[4], height: +m[5], tileSize: 512 } : { tileSize: 512 };
+      },
+
+      /** Web-Mercator bounds of a width × height px map centred on lat/lng at zoom. */
+      _viewportAround({ lat, lng, zoom, width, height, tileSize }, r) {
+        const world = tileSize * 2 ** zoom;
+        const x = (lng + 180) / 360 * world;
+        const y = (1 - Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) / Math.PI) / 2 * world;
+        const lngAt = px => px / world * 360 - 180;
+        const latAt = py => Math.atan(Math.sinh(Math.PI * (1 - 2 * py / world))) * 180 / Math.PI;
+        return {
+          bounds: { north: latAt(y - height / 2), south: latAt(y + height / 2), east: lngAt(x + width / 2), west: lngAt(x - width / 2) },
+          center: { lat, lng },
+          zoom,
+          containerRect: { top: r.top, left: r.left, width: r.width, height: r.height }
+        };
+      }
+    };
+  }
+
+  return { GL_MAP_SELECTOR, STATIC_MAP_SELECTOR, LISTING_MAP_ZOOM, create };
+});
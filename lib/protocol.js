@@ -0,0 +1,65 @@
+/**
+ * protocol.js — the window.postMessage protocol between the content script
+ * and pageScript.js, which runs in the page itself so it can reach Daft's
+ * MapLibre map (window.DaftProtocol; requirable under Node).
+ *
+ * Every message is { type: 'DAFT_TRANSIT_<name>', payload? }.
+ *
+ *   page script → content script
+ *     MAP_FOUND, MAP_NOT_FOUND  a map instance was found / went away
+ *     MAP_VIEWPORT              { bounds, center, zoom, containerRect }, after each move
+ *     PAN_DELTA                 { tx, ty, scale } during a gesture, for the SVG overlay
+ *     PROJECT_RESPONSE          { id, points: [{ x, y }|null] }
+ *     NATIVE_RESULT             { id, ok } — whether the map took the layers
+ *     STOP_ENTER, STOP_CLICK    { stop, x, y } on a native stop; STOP_LEAVE
+ *     LINE_CLICK                { route } on a native line
+ *   content script → page script
+ *     GET_VIEWPORT, FIND_MAP (the page's maps changed; look again),
+ *     PROJECT_REQUEST { id, points: [{ lat, lng }] },
+ *     NATIVE_DRAW { id, opacity, labels, coverage, lines, stops, areas },
+ *     NATIVE_REACH { reach }, NATIVE_CLEAR
+ *   background.js → content script, by chrome.runtime messaging
+ *     NOTICE                    { text } — what a keyboard shortcut did
+ *
+ * pageScript.js can't load this file (it isn't the extension's to load in
+ * the page), so it spells the types out; test/protocol.test.js keeps the
+ * two in step.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DaftProtocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PREFIX = 'DAFT_TRANSIT_';
+
+  const NAMES = [
+    'MAP_FOUND', 'MAP_NOT_FOUND', 'MAP_VIEWPORT', 'PAN_DELTA',
+    'PROJECT_REQUEST', 'PROJECT_RESPONSE', 'GET_VIEWPORT', 'FIND_MAP',
+    'NATIVE_DRAW', 'NATIVE_RESULT', 'NATIVE_REACH', 'NATIVE_CLEAR',
+    'STOP_ENTER', 'STOP_LEAVE', 'STOP_CLICK', 'LINE_CLICK',
+    'NOTICE'
+  ];
+
+  /** MSG.MAP_FOUND === 'DAFT_TRANSIT_MAP_FOUND', … */
+  const MSG = Object.freeze(Object.fromEntries(NAMES.map(n => [n, PREFIX + n])));
+
+  /** Whether a message event's data is one of ours. */
+  function isMessage(data) {
+    return !!data && typeof data.type === 'string' && data.type.startsWith(PREFIX);
+  }
+
+  /**
+   * A function that hands each message to the handler for its type, as
+   * handler(payload, message); types without one are ignored.
+   * @param {Object<string, function>} handlers — keyed by full type (MSG.*)
+   */
+  function dispatcher(handlers) {
+    return data => {
+      if (!isMessage(data) || !Object.prototype.hasOwnProperty.call(handlers, data.type)) return;
+      handlers[data.type](data.payload || {}, data);
+    };
+  }
+
+  return { PREFIX, MSG, isMessage, dispatcher };
+});
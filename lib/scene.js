@@ -0,0 +1,227 @@
+/**
+ * scene.js — what the overlay draws for a set of settings, independent of
+ * how it gets drawn: the SVG overlay (lib/svgOverlay.js) or native map
+ * layers through the page script (window.DaftScene; requirable under Node).
+ *
+ *   build(data, settings, view, ctx) — lines, stops, coverage and areas in paint order
+ *   createIndex()                    — per-collection indexes for build(): linesIn / stopsIn
+ *   viewOf(vp)                       — build()'s query window for a viewport
+ *   walkRings(settings)              — the coverage / walk rings, nearest first
+ *   describeFacilities(props, flag)  — "Step-free · Park & ride"
+ *   isDart, railShown, accessShown, both — the feature filters, shared
+ *                                          with the listing code
+ *
+ * Loaded as a content script after lib/geometry.js, lib/settings.js and
+ * lib/themes.js.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports)
+    module.exports = factory(require('./geometry'), require('./settings'), require('./themes'));
+  else root.DaftScene = factory(root.DaftGeometry, root.DaftSettings, root.DaftThemes);
+})(typeof self !== 'undefined' ? self : this, function (DaftGeometry, DaftSettings, DaftThemes) {
+  'use strict';
+
+  const { M_PER_DEG_LAT } = DaftGeometry;
+  const VIEW_PAD      = 0.5;    // fraction of the view kept either side, so a pan reveals drawn data
+  const DIM_OPACITY   = 0.15;   // of the overlay opacity, for everything off a highlighted route
+
+  function isDart(f) { return (f.properties.line || '').toLowerCase() === 'dart'; }
+
+  /** Rail features filtered by the independent DART / Irish Rail toggles. */
+  const railShown = (dartOn, railOn) => f => isDart(f) ? dartOn : railOn;
+
+  /**
+   * Luas stops and rail stations not known to lack step-free access, when
+   * that's asked for.  The feeds leave most rail stations unknown, and
+   * hiding those would hide nearly the whole network — they stay, flagged
+   * by describeFacilities().
+   */
+  const accessShown = stepFreeOnly => f => !stepFreeOnly || f.properties.stepFree !== false;
+  const both = (a, b) => f => a(f) && b(f);
+
+  const FACILITIES = [
+    ['stepFree', 'Step-free', 'Not step-free'],
+    ['lifts', 'Lifts', 'No lifts'],
+    ['parkAndRide', 'Park & ride', null],
+    ['bikeParking', 'Bike parking', null]
+  ];
+
+  const ACCESS_UNKNOWN = 'Step-free access unknown';
+
+  /**
+   * "Step-free · Park & ride" — what's known of a stop's facilities, or ''.
+   * With flagUnknown (Luas stops and rail stations), a stop whose step-free
+   * access isn't known says so.
+   */
+  function describeFacilities(props, flagUnknown = false) {
+    return FACILITIES.map(([key, yes, no]) => props[key] === true ? yes : props[key] === false ? no
+      : key === 'stepFree' && flagUnknown ? ACCESS_UNKNOWN : null)
+      .filter(Boolean).join(' · ');
+  }
+
+  /** settings.walkRings (minutes) as distances at the chosen travel speed, nearest first. */
+  function walkRings(settings) {
+    const profile = DaftSettings.TRAVEL_PROFILES[settings.travelProfile];
+    const mPerMin = (profile ? profile.kmh : settings.travelSpeedKmh) * 1000 / 60;
+    if (!(mPerMin > 0)) return [];
+    const theme = DaftThemes.get(settings.theme);
+    return [...new Set(settings.walkRings)].filter(min => min > 0).sort((a, b) => a - b).map(min => ({
+      meters: min * mPerMin,
+      label: `${min} min${profile ? profile.suffix : ''}`,
+      color: DaftThemes.ringColor(theme, min)
+    }));
+  }
+
+  /**
+   * Spatial indexes over feature collections, built on first use and kept
+   * per collection (and, for lines, per zoom level) — see lib/geometry.js.
+   */
+  function createIndex() {
+    const indexes = new WeakMap();   // collection → { lines: { <zoom level>: index }, points: index }
+    const indexFor = fc => {
+      if (!indexes.has(fc)) indexes.set(fc, { lines: {}, points: null });
+      return indexes.get(fc);
+    };
+    return {
+      /**
+       * Line features of fc that reach into view ({ bbox, zoom }), clipped to
+       * the indexed runs that do and simplified for the zoom.  Without a
+       * view, every feature at full detail.
+       * @returns {Array<{feature, parts: Array<Array<[lng, lat]>>}>}
+       */
+      linesIn(fc, view) {
+        if (!view) return fc.features.map(f => ({
+          feature: f,
+          parts: f.geometry.type === 'MultiLineString' ? f.geometry.coordinates : [f.geometry.coordinates]
+        }));
+        const level = DaftGeometry.zoomLevel(view.zoom);
+        const cache = indexFor(fc).lines;
+        cache[level] = cache[level] || DaftGeometry.lineIndex(fc.features, level);
+        return DaftGeometry.linesInView(cache[level], view.bbox)
+          .map(({ fi, parts }) => ({ feature: fc.features[fi], parts }));
+      },
+
+      /** Point features of fc inside view.bbox; all of them without a view. */
+      stopsIn(fc, view) {
+        if (!view) return fc.features;
+        const idx = indexFor(fc);
+        idx.points = idx.points || DaftGeometry.pointIndex(fc.features);
+        return idx.points.query(view.bbox);
+      }
+    };
+  }
+
+  const defaultIndex = createIndex();
+
+  function growBBox(b, meters) {
+    const dy = meters / M_PER_DEG_LAT;
+    const dx = dy / Math.cos((b.north + b.south) / 2 * Math.PI / 180);
+    return { west: b.west - dx, east: b.east + dx, south: b.south - dy, north: b.north + dy };
+  }
+
+  /** Query window for build() from a viewport; null without one. */
+  function viewOf(vp) {
+    if (!vp) return null;
+    const b = vp.bounds;
+    const dx = (b.east - b.west) * VIEW_PAD, dy = (b.north - b.south) * VIEW_PAD;
+    const zoom = vp.zoom ?? Math.log2(vp.containerRect.width * 360 / ((b.east - b.west) * 512));
+    return { bbox: { west: b.west - dx, east: b.east + dx, south: b.south - dy, north: b.north + dy }, zoom };
+  }
+
+  /**
+   * Everything the settings draw, in paint order.  With a view ({ bbox,
+   * zoom }) only what reaches into it, simplified for the zoom.  While a
+   * route is highlighted everything off it is flagged dim and painted
+   * first, underneath.
+   * @param {Object} ctx — index: createIndex()'s (a shared one by default);
+   *   ranks: Map of stop id → label rank, when labels are on;
+   *   highlight: { route, stops: Set<id> } for the highlighted route, or null
+   * @returns {{ lines: Array<{parts, color, width, dash, route, dim}>,
+   *             stops: Array<{lng, lat, fill, stroke, r, rank, inArea, dim,
+   *                           stop: {id, name, mode, line, facilities, status?, year?}}>,
+   *             coverage: {rings, points: Array<[lng, lat]>}|null,
+   *             areas: Array<{id, name, coords}> }}
+   */
+  function build(data, settings, view, { index = defaultIndex, ranks = null, highlight: hl = null } = {}) {
+    const lines = [], stops = [];
+    const areas = settings.areas || [];
+    const theme = DaftThemes.get(settings.theme);
+    const luasColor = line => DaftThemes.luasColor(theme, line);
+    const railColor = (line, route) => DaftThemes.railColor(theme, line, route);
+    const futureColor = line => DaftThemes.futureColor(theme, line);
+    const inAnyArea = (lng, lat) => areas.some(a => DaftGeometry.pointInPolygon([lng, lat], a.coords));
+
+    const addLines = (fc, style, shown) => {
+      for (const { feature, parts } of index.linesIn(fc, view)) {
+        if (shown && !shown(feature)) continue;
+        const route = feature.properties.route || '';
+        const dim = !!hl && route !== hl.route;
+        const l = { parts, dash: null, route, dim, ...style(feature.properties) };
+        l.width = Math.round(l.width * theme.lineScale * 10) / 10 + (hl && !dim ? 1 : 0);
+        lines.push(l);
+      }
+    };
+    const addStops = (fc, style, shown) => {
+      for (const f of index.stopsIn(fc, view)) {
+        if (shown && !shown(f)) continue;
+        const [lng, lat] = f.geometry.coordinates, p = f.properties;
+        const { fill, stroke = theme.stopStroke, r, name, mode, line } = style(p);
+        const stop = { id: p.id || '', name, mode, line, facilities: describeFacilities(p, mode === 'luas' || mode === 'rail') };
+        if (mode === 'future') Object.assign(stop, { status: p.status || '', year: p.expectedYear || '' });
+        const rank = !ranks ? 0 : mode === 'future' ? 1 : ranks.get(stop.id) || 1;
+        const inArea = areas.length > 0 && inAnyArea(lng, lat);
+        const dim = !!hl && !((mode === 'luas' || mode === 'rail') && hl.stops.has(stop.id));
+        stops.push({ lng, lat, fill, stroke, r, rank, inArea, dim, stop });
+      }
+    };
+
+    // Rail lines first (behind Luas) — DART vs Irish Rail filtered independently
+    if (settings.dartLines || settings.irishRailLines)
+      addLines(data.railLines, p => ({ color: railColor(p.line, p.route), width: 2.5 }), railShown(settings.dartLines, settings.irishRailLines));
+    // Luas on top
+    if (settings.luasLines)
+      addLines(data.luasLines, p => ({ color: luasColor(p.line), width: 3 }));
+    // Planned infrastructure dashed over everything so it reads as "not yet"
+    if (settings.futureLines)
+      addLines(data.futureLines, p => ({ color: futureColor(p.line), width: 3, dash: '7 5' }));
+
+    const access = accessShown(settings.stepFreeOnly);
+    if (settings.dartStations || settings.irishRailStations)
+      addStops(data.railStations, p => ({ fill: railColor(p.line), r: 3.5, name: p.name || 'Station', mode: 'rail', line: p.line || 'rail' }),
+               both(railShown(settings.dartStations, settings.irishRailStations), access));
+    if (settings.luasStops)
+      addStops(data.luasStops, p => ({ fill: luasColor(p.line), r: 4, name: p.name || 'Luas Stop', mode: 'luas', line: p.line || 'luas' }), access);
+    // Planned stations hollow, ringed in their line colour
+    if (settings.futureStations)
+      addStops(data.futureStations, p => ({ fill: '#fff', stroke: futureColor(p.line), r: 3.5, name: p.name || 'Planned Station', mode: 'future', line: p.line || '' }));
+
+    // Coverage: the rings around every enabled stop in service.  A stop off
+    // screen can still shade it, so look a ring's reach beyond the view.
+    let coverage = null;
+    const rings = settings.coverage ? walkRings(settings) : [];
+    if (rings.length) {
+      const wide = view && { ...view, bbox: growBBox(view.bbox, rings[rings.length - 1].meters) };
+      const points = [];
+      const take = (fc, shown) => {
+        for (const f of index.stopsIn(fc, wide)) if (!shown || shown(f)) points.push(f.geometry.coordinates);
+      };
+      if (settings.dartStations || settings.irishRailStations)
+        take(data.railStations, both(railShown(settings.dartStations, settings.irishRailStations), access));
+      if (settings.luasStops) take(data.luasStops, access);
+      coverage = { rings, points };
+    }
+
+    // Stable sorts, so the usual order holds within the dimmed and the lit
+    if (hl) {
+      lines.sort((a, b) => b.dim - a.dim);
+      stops.sort((a, b) => b.dim - a.dim);
+    }
+    return { lines, stops, coverage, areas };
+  }
+
+  return {
+    VIEW_PAD, DIM_OPACITY,
+    build, createIndex, viewOf, walkRings, describeFacilities,
+    isDart, railShown, accessShown, both
+  };
+});
@@ -0,0 +1,258 @@
+/**
+ * settings.js — every Commute Check setting, its default and what a valid
+ * value looks like, shared by the content script, popup and options page
+ * (window.DaftSettings; requirable under Node).
+ *
+ * Storage (chrome.storage.local):
+ *   daftTransitSettings  — the settings in use, one flat object
+ *   daftTransitProfiles  — [{ id, name, settings }]; a profile holds the
+ *                          display and filter preferences (PROFILE_KEYS),
+ *                          not the master switch or your saved places
+ *   daftTransitShortlist — starred listings (see contentScript.js SHORTLIST)
+ *
+ * Written by the popup, the options page, the in-page control panel and the
+ * keyboard shortcuts in background.js; every page that shows settings
+ * follows chrome.storage.onChanged.  Writers that change a key or two go
+ * through update(), so they can't undo a change made elsewhere meanwhile.
+ *
+ * Anything read back from storage or an imported file goes through
+ * normalize(): migrate() upgrades shapes older versions saved, validate()
+ * keeps what fits SCHEMA — entry by entry for the ENTRIES lists — and falls
+ * back to DEFAULTS for the rest.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DaftSettings = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SETTINGS_KEY = 'daftTransitSettings';
+  const PROFILES_KEY = 'daftTransitProfiles';
+  const SHORTLIST_KEY = 'daftTransitShortlist';
+  const EXPORT_FORMAT = 'commute-check-profiles';
+  const EXPORT_VERSION = 1;
+
+  const DEFAULTS = {
+    enabled: false,
+    luasLines: true, luasStops: true,
+    dartLines: true, dartStations: true,
+    irishRailLines: true, irishRailStations: true,
+    futureLines: false, futureStations: false,
+    stepFreeOnly: false,  // hide Luas stops and rail stations known not to be step-free
+    stopLabels: false, labelMinZoom: 13,
+    opacity: 75, theme: 'default',
+    travelProfile: 'walk', travelSpeedKmh: 4.3,
+    walkRings: [5, 10], coverage: false,
+    listingBadges: true, listingSort: 'daft', listingMaxWalk: 0, listingMode: 'any',
+    destinations: [],  // [{ name, lat, lng }] — commute targets set in the popup
+    areas: [], listingArea: '',  // [{ id, name, coords: [[lng, lat], …] }] — drawn on the map
+    controlPanel: false,         // toggles in the corner of Daft's map, beside its controls
+    highlightRoute: ''           // a line's route id (data/*_lines.json); the rest is dimmed
+  };
+
+  // Places are the user's own and stay out of profiles: exporting one
+  // mustn't share them, and switching to one mustn't replace them
+  const PLACE_KEYS = ['destinations', 'areas', 'listingArea'];
+  const PROFILE_KEYS = Object.keys(DEFAULTS).filter(k => k !== 'enabled' && !PLACE_KEYS.includes(k));
+
+  // Ring speeds in km/h; 'custom' takes settings.travelSpeedKmh instead
+  const TRAVEL_PROFILES = {
+    walk:    { kmh: 4.3, suffix: '' },
+    easy:    { kmh: 3.2, suffix: '' },
+    cycle:   { kmh: 15,  suffix: ' by bike' },
+    scooter: { kmh: 18,  suffix: ' by scooter' }
+  };
+  const MAX_RINGS = 6;
+
+  // The layer sets the cycle-layers shortcut steps through, in order
+  const LAYER_KEYS = ['luasLines', 'luasStops', 'dartLines', 'dartStations', 'irishRailLines', 'irishRailStations'];
+  const only = (...keys) => Object.fromEntries(LAYER_KEYS.map(k => [k, keys.includes(k)]));
+  const LAYER_PRESETS = [
+    ['Luas and rail', only(...LAYER_KEYS)],
+    ['Luas only', only('luasLines', 'luasStops')],
+    ['DART only', only('dartLines', 'dartStations')],
+    ['Irish Rail only', only('irishRailLines', 'irishRailStations')]
+  ];
+
+  const bool = v => typeof v === 'boolean';
+  const int = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+  const oneOf = (...values) => v => values.includes(v);
+  const name = v => typeof v === 'string' && v.trim().length > 0 && v.length <= 40;
+  const inIreland = (lat, lng) => lat >= 51.3 && lat <= 55.5 && lng >= -10.7 && lng <= -5.3;
+
+  /** Per entry of the list settings, whether it's acceptable. */
+  const ENTRIES = {
+    destinations: d => !!d && name(d.name) && inIreland(d.lat, d.lng),
+    areas: a => !!a && typeof a.id === 'string' && name(a.name) &&
+      Array.isArray(a.coords) && a.coords.length >= 3 &&
+      a.coords.every(c => Array.isArray(c) && c.length === 2 && c.every(Number.isFinite))
+  };
+  const list = entry => v => Array.isArray(v) && v.every(entry);
+
+  /** Per setting, whether a value is acceptable. */
+  const SCHEMA = {
+    enabled: bool,
+    luasLines: bool, luasStops: bool,
+    dartLines: bool, dartStations: bool,
+    irishRailLines: bool, irishRailStations: bool,
+    futureLines: bool, futureStations: bool,
+    stepFreeOnly: bool,
+    stopLabels: bool, labelMinZoom: int(11, 14),
+    opacity: int(10, 100),
+    theme: oneOf('default', 'colorblind', 'contrast', 'dark'),  // ids in lib/themes.js
+    travelProfile: oneOf(...Object.keys(TRAVEL_PROFILES), 'custom'),
+    travelSpeedKmh: v => typeof v === 'number' && v >= 1 && v <= 40,
+    walkRings: v => Array.isArray(v) && v.length <= MAX_RINGS && v.every(int(1, 60)) && new Set(v).size === v.length,
+    coverage: bool,
+    listingBadges: bool,
+    listingSort: oneOf('daft', 'walk'),
+    listingMaxWalk: oneOf(0, 5, 10, 20),
+    listingMode: oneOf('any', 'luas', 'dart', 'rail'),
+    destinations: list(ENTRIES.destinations),
+    areas: list(ENTRIES.areas),
+    listingArea: v => typeof v === 'string',
+    controlPanel: bool,
+    highlightRoute: v => typeof v === 'string' && v.length <= 60
+  };
+
+  /** A fresh copy of DEFAULTS, safe to mutate. */
+  function defaults() {
+    return JSON.parse(JSON.stringify(DEFAULTS));
+  }
+
+  /** Bring settings saved by an older version up to date, in place. */
+  function migrate(s) {
+    // One flag per fixed 5 / 10 / 20 min ring → list of minutes
+    if (!s.walkRings && ('walkRadius5' in s || 'walkRadius10' in s || 'walkRadius20' in s)) {
+      s.walkRings = [[5, s.walkRadius5 ?? true], [10, s.walkRadius10 ?? true], [20, s.walkRadius20 ?? false]]
+        .filter(([, on]) => on).map(([min]) => min);
+    }
+    delete s.walkRadius5; delete s.walkRadius10; delete s.walkRadius20;
+    // Bus corridors and street-network reach were withdrawn until their data is built
+    delete s.busLines; delete s.busStops; delete s.busMaxHeadway; delete s.walkIsochrones;
+    if (s.listingMode === 'bus') s.listingMode = 'any';
+    return s;
+  }
+
+  /**
+   * @param {Object} s — already migrated
+   * @returns {{ settings: Object, errors: string[] }} settings: the valid
+   *          values of known keys only, and of a list the valid entries;
+   *          errors: one line per key or entry dropped
+   */
+  function validate(s) {
+    const settings = {}, errors = [];
+    for (const [key, value] of Object.entries(s)) {
+      if (!SCHEMA[key]) errors.push(`Unknown setting "${key}" ignored`);
+      else if (ENTRIES[key] && Array.isArray(value)) {
+        settings[key] = value.filter((v, i) => {
+          const ok = ENTRIES[key](v);
+          if (!ok) errors.push(`"${key}" entry ${i + 1} is invalid; dropped`);
+          return ok;
+        });
+      }
+      else if (!SCHEMA[key](value)) errors.push(`"${key}" has an invalid value; using the default`);
+      else settings[key] = value;
+    }
+    return { settings, errors };
+  }
+
+  /** Stored or imported settings → a complete, valid settings object. */
+  function normalize(raw) {
+    const s = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw } : {};
+    return { ...defaults(), ...validate(migrate(s)).settings };
+  }
+
+  /** The part of a settings object a profile keeps. */
+  function pick(settings) {
+    const out = {};
+    for (const k of PROFILE_KEYS) out[k] = settings[k];
+    return JSON.parse(JSON.stringify(out));
+  }
+
+  /** Whether the settings in use are exactly a profile's. */
+  function matches(settings, profile) {
+    return JSON.stringify(pick(settings)) === JSON.stringify(pick(normalize(profile.settings)));
+  }
+
+  /** The preset after the one the layers match — the first if they match none. */
+  function nextLayers(settings) {
+    const i = LAYER_PRESETS.findIndex(([, layers]) => LAYER_KEYS.every(k => settings[k] === layers[k]));
+    return LAYER_PRESETS[(i + 1) % LAYER_PRESETS.length];
+  }
+
+  /**
+   * Merge changes into the stored settings, read afresh.
+   * @param {chrome.storage.StorageArea} area
+   * @param {Object|function(Object): Object} changes — or a function from
+   *        the stored settings to them, for changes that build on a value
+   * @returns {Promise<Object>} the settings as saved
+   */
+  async function update(area, changes) {
+    const current = normalize((await area.get(SETTINGS_KEY))[SETTINGS_KEY]);
+    const next = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+    await area.set({ [SETTINGS_KEY]: next });
+    return next;
+  }
+
+  function exportProfiles(profiles) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      profiles: profiles.map(p => ({ name: p.name, settings: pick(normalize(p.settings)) }))
+    }, null, 2);
+  }
+
+  /**
+   * An exported file's text — or a bare settings object, as older versions
+   * kept in daftTransitSettings — as profiles ready to store.
+   * @param {string} text
+   * @param {string} fallbackName — for a bare settings object
+   * @returns {{ profiles: Array<{name, settings}>, errors: string[] }}
+   */
+  function parseProfiles(text, fallbackName) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return { profiles: [], errors: ['Not a JSON file'] }; }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { profiles: [], errors: ['Expected a Commute Check profiles file'] };
+    }
+
+    let list;
+    if (data.format === EXPORT_FORMAT) {
+      if (!Number.isInteger(data.version) || data.version < 1) {
+        return { profiles: [], errors: ['Expected a Commute Check profiles file'] };
+      }
+      if (data.version > EXPORT_VERSION) {
+        return { profiles: [], errors: [`Made by a newer version of Commute Check (format ${data.version})`] };
+      }
+      if (!Array.isArray(data.profiles)) return { profiles: [], errors: ['The file has no profiles list'] };
+      list = data.profiles;
+    } else if (Object.keys(migrate({ ...data })).some(k => SCHEMA[k])) {
+      list = [{ name: fallbackName, settings: data }];
+    } else {
+      return { profiles: [], errors: ['Expected a Commute Check profiles file'] };
+    }
+
+    const profiles = [], errors = [];
+    list.forEach((p, i) => {
+      if (!p || typeof p !== 'object' || !name(p.name)) {
+        errors.push(`Profile ${i + 1} skipped: it needs a name of up to 40 characters`);
+        return;
+      }
+      const s = p.settings && typeof p.settings === 'object' && !Array.isArray(p.settings) ? migrate({ ...p.settings }) : {};
+      // A profile never switches the overlay on or off, nor brings places
+      for (const k of ['enabled', ...PLACE_KEYS]) delete s[k];
+      const checked = validate(s);
+      errors.push(...checked.errors.map(e => `${p.name.trim()}: ${e}`));
+      profiles.push({ name: p.name.trim(), settings: pick({ ...defaults(), ...checked.settings }) });
+    });
+    return { profiles, errors };
+  }
+
+  return {
+    SETTINGS_KEY, PROFILES_KEY, SHORTLIST_KEY, DEFAULTS, PROFILE_KEYS, SCHEMA, ENTRIES,
+    TRAVEL_PROFILES, MAX_RINGS, LAYER_KEYS, LAYER_PRESETS,
+    defaults, migrate, validate, normalize, pick, matches, nextLayers, update, exportProfiles, parseProfiles
+  };
+});
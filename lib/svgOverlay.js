@@ -0,0 +1,230 @@
+/**
+ * svgOverlay.js — a scene (lib/scene.js) as SVG markup over the map, for
+ * maps the page script can't draw native layers on (window.DaftSvgOverlay;
+ * requirable under Node).
+ *
+ *   layout(scene)                    — the points to project, in draw()'s order
+ *   draw(scene, layout, px, opts)    — { svg, hits, stopPx } from their pixels
+ *   pxPerMeter(vp, pts, px)          — the map's scale, for rings and coverage
+ *   stopAccessSVG(stops, px, rect)   — stops in view as focusable buttons
+ *   stopsInView, describeStopsInView — and what the live region says of them
+ *   stopData, stopModeLabel, pathOf, esc — shared with the rest of the overlay
+ *
+ * Pixels are { x, y } in the overlay (null for a point the map couldn't
+ * place); rect is the map's { width, height }.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./scene'), require('./geometry'));
+  else root.DaftSvgOverlay = factory(root.DaftScene, root.DaftGeometry);
+})(typeof self !== 'undefined' ? self : this, function (DaftScene, DaftGeometry) {
+  'use strict';
+
+  const { M_PER_DEG_LAT } = DaftGeometry;
+  const COVERAGE_OPACITY = 0.22;
+  const LABEL_FONT_PX    = 11;
+  const LABEL_CHAR_PX    = 6.2;   // average advance of the label font at that size
+  const FOCUS_MAX_STOPS  = 100;   // tab stops per view, nearest the centre first
+
+  // Counted for the live region, in this order when the counts tie
+  const STOP_KINDS = [
+    ['DART station', 'DART stations', st => st.mode === 'rail' && (st.line || '').toLowerCase() === 'dart'],
+    ['Luas stop', 'Luas stops', st => st.mode === 'luas'],
+    ['Irish Rail station', 'Irish Rail stations', st => st.mode === 'rail'],
+    ['planned station', 'planned stations', st => st.mode === 'future']
+  ];
+
+  function esc(s) { return s.replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+
+  const xy = p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`;
+
+  function pathOf(px) {
+    return px.map((p, i) => `${i ? 'L' : 'M'}${p.x.toFixed(1)} ${p.y.toFixed(1)}`).join('');
+  }
+
+  /** "Luas", "DART", "Rail" or "Planned MetroLink". */
+  function stopModeLabel(stop) {
+    return stop.mode === 'luas' ? 'Luas'
+      : stop.mode === 'future' ? `Planned ${stop.line}`
+      : (stop.line || '').toLowerCase() === 'dart' ? 'DART' : 'Rail';
+  }
+
+  /** A scene stop's data-* attributes, as the content script's stopFromEl() reads them back. */
+  function stopData(s) {
+    const st = s.stop;
+    const planned = st.mode === 'future' ? ` data-status="${esc(st.status)}" data-year="${st.year}"` : '';
+    const facilities = st.facilities ? ` data-facilities="${esc(st.facilities)}"` : '';
+    return `data-id="${esc(st.id)}" data-name="${esc(st.name)}" data-mode="${st.mode}" data-line="${esc(st.line)}" data-lat="${s.lat}" data-lng="${s.lng}"${planned}${facilities}`;
+  }
+
+  /**
+   * Every point of the scene as { lat, lng }: the lines' vertices, then the
+   * stops, the coverage centres and the areas' corners, with where each run starts.
+   * @returns {{ pts, firstStop, firstCover, firstArea }}
+   */
+  function layout(scene) {
+    const pts = [];
+    for (const l of scene.lines) for (const part of l.parts) for (const c of part) pts.push({ lat: c[1], lng: c[0] });
+    const firstStop = pts.length;
+    for (const s of scene.stops) pts.push({ lat: s.lat, lng: s.lng });
+    const firstCover = pts.length;
+    if (scene.coverage) for (const [lng, lat] of scene.coverage.points) pts.push({ lat, lng });
+    const firstArea = pts.length;
+    for (const a of scene.areas) for (const [lng, lat] of a.coords) pts.push({ lat, lng });
+    return { pts, firstStop, firstCover, firstArea };
+  }
+
+  /**
+   * Overlay pixels per metre — from the viewport when there is one,
+   * otherwise measured between the first two projected points.  0 when
+   * neither tells.
+   */
+  function pxPerMeter(vp, pts, px) {
+    if (vp) {
+      const midLat = (vp.bounds.north + vp.bounds.south) / 2;
+      return vp.containerRect.width / ((vp.bounds.east - vp.bounds.west) * M_PER_DEG_LAT * Math.cos(midLat * Math.PI / 180));
+    }
+    if (px.length < 2 || pts.length < 2 || !px[0] || !px[1]) return 0;
+    const dLng = Math.abs(pts[1].lng - pts[0].lng);
+    const dPx  = Math.abs(px[1].x - px[0].x);
+    if (!(dLng > 0 && dPx > 0)) return 0;
+    const midLat = (pts[0].lat + pts[1].lat) / 2;
+    return dPx / (dLng * M_PER_DEG_LAT * Math.cos(midLat * Math.PI / 180));
+  }
+
+  /**
+   * Each band as same-coloured circles, farthest band first so nearer ones
+   * paint over it.  The circles are opaque inside one group and the group
+   * carries the opacity, so overlaps don't darken — the union reads flat.
+   */
+  function coverageSVG(coverage, px, op, perMeter) {
+    const centres = px.filter(Boolean);
+    const bands = [...coverage.rings].reverse().map(r => {
+      const rad = (r.meters * perMeter).toFixed(1);
+      return centres.map(p => `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${rad}" fill="${r.color}"/>`).join('');
+    });
+    return `<g class="dt-coverage" opacity="${(COVERAGE_OPACITY * op).toFixed(3)}">${bands.join('')}</g>`;
+  }
+
+  /**
+   * Greedy placement, highest rank first: right, left, above, then below
+   * the dot — the first spot clear of every dot and placed label wins,
+   * otherwise the label is dropped.  Dimmed stops keep their dots clear
+   * but go unlabelled.
+   */
+  function placeLabels(stops, px) {
+    const boxes = [];
+    const clear = b => !boxes.some(o => b.x0 < o.x1 && b.x1 > o.x0 && b.y0 < o.y1 && b.y1 > o.y0);
+    stops.forEach((s, i) => {
+      const p = px[i];
+      if (p) boxes.push({ x0: p.x - s.r, x1: p.x + s.r, y0: p.y - s.r, y1: p.y + s.r });
+    });
+    const order = stops.map((s, i) => i).filter(i => px[i] && !stops[i].dim).sort((a, b) => stops[b].rank - stops[a].rank);
+    const out = [];
+    for (const i of order) {
+      const s = stops[i], p = px[i];
+      const w = s.stop.name.length * LABEL_CHAR_PX, h = LABEL_FONT_PX + 2, gap = s.r + 3;
+      for (const [dx, dy, anchor] of [[gap, 0, 'start'], [-gap, 0, 'end'], [0, -gap - h / 2, 'middle'], [0, gap + h / 2, 'middle']]) {
+        const x0 = anchor === 'start' ? p.x + dx : anchor === 'end' ? p.x + dx - w : p.x - w / 2;
+        const b = { x0, x1: x0 + w, y0: p.y + dy - h / 2, y1: p.y + dy + h / 2 };
+        if (!clear(b)) continue;
+        boxes.push(b);
+        out.push(`<text x="${(p.x + dx).toFixed(1)}" y="${(p.y + dy).toFixed(1)}" text-anchor="${anchor}">${esc(s.stop.name)}</text>`);
+        break;
+      }
+    }
+    return out;
+  }
+
+  /** Scene stops drawn inside rect (px: their overlay pixels), nearest its centre first. */
+  function stopsInView(stops, px, rect) {
+    if (!rect) return [];
+    const cx = rect.width / 2, cy = rect.height / 2;
+    return stops.map((s, i) => ({ s, p: px[i], d: px[i] && Math.hypot(px[i].x - cx, px[i].y - cy) }))
+      .filter(({ p }) => p && p.x >= 0 && p.y >= 0 && p.x <= rect.width && p.y <= rect.height)
+      .sort((a, b) => a.d - b.d);
+  }
+
+  /**
+   * The stops in view again, over their dots, as buttons Tab walks through
+   * — focus shows the tooltip and walk radius, Enter or Space pins the stop
+   * (see the content script's wireTooltips()).  The dots themselves are
+   * hidden from screen readers.
+   */
+  function stopAccessSVG(stops, px, rect) {
+    const out = stopsInView(stops, px, rect).slice(0, FOCUS_MAX_STOPS).map(({ s, p }) => {
+      const label = `${stopModeLabel(s.stop)}: ${s.stop.name}${s.stop.facilities ? `. ${s.stop.facilities}` : ''}`;
+      return `<g class="dt-stop-focus" tabindex="0" role="button" aria-label="${esc(label)}" ${stopData(s)}><circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${s.r + 3}"/></g>`;
+    });
+    return `<g id="dt-stop-access" role="group" aria-label="Transit stops on the map, nearest the centre first">${out.join('')}</g>`;
+  }
+
+  /** "3 DART stations and 2 Luas stops in view", commonest first. */
+  function describeStopsInView(inView) {
+    const counts = STOP_KINDS.map(([one, many]) => ({ one, many, n: 0 }));
+    for (const { s } of inView) {
+      const i = STOP_KINDS.findIndex(([, , is]) => is(s.stop));
+      if (i >= 0) counts[i].n++;
+    }
+    const parts = counts.filter(c => c.n).sort((a, b) => b.n - a.n).map(c => `${c.n} ${c.n === 1 ? c.one : c.many}`);
+    if (!parts.length) return 'No transit stops in view';
+    const last = parts.pop();
+    return `${parts.length ? `${parts.join(', ')} and ` : ''}${last} in view`;
+  }
+
+  /**
+   * The scene's markup from its projected points (layout()'s order):
+   * coverage under the drawn areas, under the lines, under the labels,
+   * under the stops, with the focus layer on top.
+   * @param {Object} opts — opacity (0–1), pxPerMeter, labels (whether to
+   *   place stop names), rect (the map's size, for the focus layer)
+   * @returns {{ svg: string, hits: Array<{route, px}>, stopPx: Array<{x, y}|null> }}
+   *   hits: where each solid route ran, for clicks on the lines
+   */
+  function draw(scene, { firstStop, firstCover, firstArea }, px, { opacity: op, pxPerMeter: perMeter = 0, labels = false, rect = null }) {
+    const svg = [];
+    const stopPx = px.slice(firstStop, firstCover);
+
+    // Coverage bands underneath everything, Daft's own pins included
+    if (scene.coverage && perMeter > 0) svg.push(coverageSVG(scene.coverage, px.slice(firstCover, firstArea), op, perMeter));
+
+    // Drawn areas above the coverage, under the lines
+    let ak = firstArea;
+    for (const a of scene.areas) {
+      const ps = px.slice(ak, ak += a.coords.length);
+      if (ps.every(Boolean)) svg.push(`<path class="dt-area" d="${pathOf(ps)}Z"/>`);
+    }
+
+    const hits = [];
+    let k = 0;
+    for (const l of scene.lines) {
+      const lop = l.dim ? op * DaftScene.DIM_OPACITY : op;
+      for (const part of l.parts) {
+        const ps = px.slice(k, k += part.length).filter(Boolean);
+        if (ps.length < 2) continue;
+        if (l.route && !l.dash) hits.push({ route: l.route, px: ps });
+        svg.push(`<polyline points="${ps.map(xy).join(' ')}" fill="none" stroke="${l.color}" stroke-width="${l.width}" stroke-opacity="${lop}" stroke-linecap="round" stroke-linejoin="round"${l.dash ? ` stroke-dasharray="${l.dash}"` : ''}/>`);
+      }
+    }
+
+    // Names between the lines and the dots
+    if (labels) svg.push(`<g class="dt-labels" opacity="${op}">${placeLabels(scene.stops, stopPx).join('')}</g>`);
+
+    scene.stops.forEach((s, i) => {
+      const p = stopPx[i];
+      if (!p) return;
+      const halo = s.inArea ? `<circle class="dt-area-halo" cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${s.r + 3.5}"/>` : '';
+      svg.push(`<g class="transit-stop" aria-hidden="true" ${stopData(s)}><circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${s.r}" fill="${s.fill}" stroke="${s.stroke}" stroke-width="1.5" opacity="${s.dim ? op * DaftScene.DIM_OPACITY : op}"/>${halo}</g>`);
+    });
+
+    // The same stops again, for the keyboard and screen readers
+    svg.push(stopAccessSVG(scene.stops, stopPx, rect));
+    return { svg: svg.join(''), hits, stopPx };
+  }
+
+  return {
+    COVERAGE_OPACITY, FOCUS_MAX_STOPS,
+    layout, draw, pxPerMeter, coverageSVG, placeLabels,
+    stopsInView, stopAccessSVG, describeStopsInView,
+    stopData, stopModeLabel, pathOf, esc
+  };
+});
@@ -0,0 +1,162 @@
+/**
+ * themes.js — the overlay's colour themes, shared by the content script,
+ * popup and options page (window.DaftThemes; requirable under Node).
+ *
+ * A theme gives:
+ *   colors      — per network, as contentScript.js's COLORS
+ *   routes      — per rail route (data/rail_lines.json route ids); null: the
+ *                 DART / Irish Rail colour for every route
+ *   rings       — walk ring colour by duration, [[up to minutes, colour], …]
+ *   stopStroke  — outline of the stop dots
+ *   lineScale   — line width multiplier
+ *   label       — stop names: { color, halo }
+ *   ui          — tooltip and stop panel look, styles.css .dt-ui-<ui>:
+ *                 'default' | 'contrast' | 'dark' (light boxes on a dark map)
+ *
+ * settings.theme holds the id; get() falls back to the default for an id
+ * this version doesn't know.  luasColor(), railColor() and futureColor()
+ * pick a line or stop's colour from a theme by its line property.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DaftThemes = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_ID = 'default';
+
+  const THEMES = {
+    default: {
+      name: 'Default',
+      colors: {
+        luasRed:   '#E2383F',
+        luasGreen: '#00B259',
+        luasBoth:  '#9B59B6',
+        rail:      '#6366F1',
+        dart:      '#0b5e22', // dark green for DART lines and stations
+        metro:     '#0EA5E9'
+      },
+      // Commuter routes stand apart from the intercity blues and violets
+      routes: {
+        'dart':                 '#0b5e22',
+        'maynooth':             '#7C3AED',
+        'kildare':              '#2563EB',
+        'northern':             '#0F766E',
+        'cork-commuter':        '#DB2777',
+        'enterprise':           '#1E3A8A',
+        'rosslare':             '#0369A1',
+        'westport':             '#9333EA',
+        'dublin-cork':          '#4F46E5',
+        'dublin-galway':        '#5B21B6',
+        'dublin-limerick':      '#4338CA',
+        'dublin-sligo':         '#1D4ED8',
+        'dublin-tralee':        '#6D28D9',
+        'dublin-waterford':     '#3B82F6',
+        'limerick-galway':      '#8B5CF6',
+        'limerick-ballybrophy': '#818CF8',
+        'waterford-limerick':   '#A855F7'
+      },
+      // Green / yellow / red as the fixed 5 / 10 / 20 min rings were
+      rings: [[5, '#22c55e'], [10, '#eab308'], [15, '#f97316'], [Infinity, '#ef4444']],
+      stopStroke: '#fff',
+      lineScale: 1,
+      label: { color: '#1e293b', halo: '#fff' },
+      ui: 'default'
+    },
+
+    // Okabe & Ito's palette, told apart with any of the common colour
+    // vision deficiencies.  Too few colours for one per rail route.
+    colorblind: {
+      name: 'Colour-blind safe',
+      colors: {
+        luasRed:   '#D55E00',
+        luasGreen: '#0072B2',
+        luasBoth:  '#CC79A7',
+        rail:      '#56B4E9',
+        dart:      '#009E73',
+        metro:     '#000000'
+      },
+      routes: null,
+      // Dark blue to vermillion: nearer reads darker as well as bluer
+      rings: [[5, '#0072B2'], [10, '#56B4E9'], [15, '#E69F00'], [Infinity, '#D55E00']],
+      stopStroke: '#fff',
+      lineScale: 1,
+      label: { color: '#1e293b', halo: '#fff' },
+      ui: 'default'
+    },
+
+    contrast: {
+      name: 'High contrast',
+      colors: {
+        luasRed:   '#B91C1C',
+        luasGreen: '#047857',
+        luasBoth:  '#6B21A8',
+        rail:      '#1E1B4B',
+        dart:      '#064E3B',
+        metro:     '#075985'
+      },
+      routes: null,
+      rings: [[5, '#15803d'], [10, '#a16207'], [15, '#c2410c'], [Infinity, '#b91c1c']],
+      stopStroke: '#000',
+      lineScale: 1.6,
+      label: { color: '#000', halo: '#fff' },
+      ui: 'contrast'
+    },
+
+    // For satellite or night basemaps: light lines, dark outlines
+    dark: {
+      name: 'Dark map',
+      colors: {
+        luasRed:   '#F87171',
+        luasGreen: '#4ADE80',
+        luasBoth:  '#C084FC',
+        rail:      '#A5B4FC',
+        dart:      '#34D399',
+        metro:     '#38BDF8'
+      },
+      routes: null,
+      rings: [[5, '#4ade80'], [10, '#facc15'], [15, '#fb923c'], [Infinity, '#f87171']],
+      stopStroke: '#0f172a',
+      lineScale: 1,
+      label: { color: '#f1f5f9', halo: '#0f172a' },
+      ui: 'dark'
+    }
+  };
+
+  const IDS = Object.keys(THEMES);
+
+  /** The theme with that id, or the default. */
+  function get(id) {
+    return THEMES[id] || THEMES[DEFAULT_ID];
+  }
+
+  /** Colour of a walk ring of that many minutes. */
+  function ringColor(theme, minutes) {
+    return theme.rings.find(([max]) => minutes <= max)[1];
+  }
+
+  function luasColor(theme, line) {
+    const l = (line || '').toLowerCase();
+    if (l === 'green')                return theme.colors.luasGreen;
+    if (l === 'both' || l === 'cross') return theme.colors.luasBoth;
+    return theme.colors.luasRed;
+  }
+
+  /**
+   * By route where the feature has one (lines) and the theme a colour per
+   * route, else DART / Irish Rail (stations).
+   */
+  function railColor(theme, line, route) {
+    if (route && theme.routes && theme.routes[route]) return theme.routes[route];
+    return (line || '').toLowerCase() === 'dart' ? theme.colors.dart : theme.colors.rail;
+  }
+
+  /** Planned lines borrow the colour of the network they join. */
+  function futureColor(theme, line) {
+    if (line === 'MetroLink') return theme.colors.metro;
+    if (line === 'DART+')     return theme.colors.dart;
+    return theme.colors.luasGreen;
+  }
+
+  return { DEFAULT_ID, THEMES, IDS, get, ringColor, luasColor, railColor, futureColor };
+});
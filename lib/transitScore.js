@@ -0,0 +1,76 @@
+/**
+ * transitScore.js — one 0–100 number for how well served a spot is.
+ *
+ * Loaded as a content script after lib/geometry.js, whose distanceMeters()
+ * it uses, and ahead of contentScript.js (window.DaftTransitScore); also
+ * requirable under Node, so the weights can be tried against real
+ * addresses without a browser.  contentScript.js feeds it every Luas stop
+ * and rail station from TransitDataProvider, each with the lines serving it:
+ *
+ *   { lat, lng, kind: 'luas'|'dart'|'rail', name, label, lines: [..] }
+ *
+ * Each stop within WEIGHTS.maxWalkM is worth
+ *
+ *   mode weight × (1 + extraLine × (lines − 1)) × walk decay
+ *
+ * and within a mode the 2nd, 3rd … most valuable stops count for repeat,
+ * repeat², … of their worth — a second halt on the same line adds less than
+ * an interchange.  The total t becomes 100 × (1 − e^(−t / scale)).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./geometry'));
+  else root.DaftTransitScore = factory(root.DaftGeometry);
+})(typeof self !== 'undefined' ? self : this, function (DaftGeometry) {
+  'use strict';
+
+  const { distanceMeters } = DaftGeometry;
+
+  const WEIGHTS = {
+    mode: { luas: 1, dart: 1, rail: 0.7 },
+    extraLine: 0.5,      // per line beyond the first
+    maxLines: 4,         // a stop stops gaining past this many lines
+    fullWalkM: 300,      // counts in full up to ~4 min on foot …
+    maxWalkM: 1200,      // … fading to nothing at ~17 min
+    repeat: 0.5,         // each further stop of a mode, relative to the one before
+    scale: 1.5           // one Luas stop at the door scores ~49
+  };
+
+  const BANDS = [[80, 'Excellent'], [60, 'Very good'], [40, 'Good'], [20, 'Some'], [0, 'Minimal']];
+
+  /** What one stop is worth from `meters` away, before the per-mode repeat discount. */
+  function stopValue(stop, meters, w) {
+    if (meters >= w.maxWalkM) return 0;
+    const walk = meters <= w.fullWalkM ? 1 : 1 - (meters - w.fullWalkM) / (w.maxWalkM - w.fullWalkM);
+    const lines = Math.min(w.maxLines, Math.max(1, stop.lines.length));
+    return (w.mode[stop.kind] || 0) * (1 + w.extraLine * (lines - 1)) * walk;
+  }
+
+  /**
+   * @param {{lat, lng}} point
+   * @param {Array} stops — see the header
+   * @param {Object} [weights] — overrides for WEIGHTS
+   * @returns {{ score: number, band: string,
+   *             counted: Array<{stop, meters, points}> }} counted: what
+   *          contributed, largest share first
+   */
+  function score(point, stops, weights) {
+    const w = { ...WEIGHTS, ...weights, mode: { ...WEIGHTS.mode, ...(weights && weights.mode) } };
+    const byMode = {};
+    for (const stop of stops) {
+      const meters = distanceMeters(point, stop);
+      const value = stopValue(stop, meters, w);
+      if (value > 0) (byMode[stop.kind] = byMode[stop.kind] || []).push({ stop, meters, points: value });
+    }
+    const counted = [];
+    for (const list of Object.values(byMode)) {
+      list.sort((a, b) => b.points - a.points);
+      list.forEach((c, i) => { c.points *= w.repeat ** i; counted.push(c); });
+    }
+    counted.sort((a, b) => b.points - a.points);
+    const total = counted.reduce((sum, c) => sum + c.points, 0);
+    const s = Math.round(100 * (1 - Math.exp(-total / w.scale)));
+    return { score: s, band: BANDS.find(([min]) => s >= min)[1], counted };
+  }
+
+  return { WEIGHTS, score };
+});
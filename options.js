@@ -0,0 +1,297 @@
+/* Commute Check — Options Page */
+
+const { SETTINGS_KEY, PROFILES_KEY, DEFAULTS, SCHEMA } = DaftSettings;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// The settings form, section by section.  Checkboxes for booleans, a select
+// where there are options, a number box otherwise; walkRings is a list.
+const SECTIONS = [
+  ['Layers', [
+    { key: 'luasLines', label: 'Luas lines' },
+    { key: 'luasStops', label: 'Luas stops' },
+    { key: 'dartLines', label: 'DART lines' },
+    { key: 'dartStations', label: 'DART stations' },
+    { key: 'irishRailLines', label: 'Irish Rail lines' },
+    { key: 'irishRailStations', label: 'Irish Rail stations' },
+    { key: 'futureLines', label: 'Planned lines' },
+    { key: 'futureStations', label: 'Planned stations' },
+    { key: 'stepFreeOnly', label: 'Hide stations without step-free access', hint: 'Stations whose access is unknown stay, marked as such' }
+  ]],
+  ['Labels', [
+    { key: 'stopLabels', label: 'Stop names' },
+    { key: 'labelMinZoom', label: 'Show from', options: [[11, 'City view (zoom 11)'], [12, 'Zoom 12'], [13, 'Neighbourhood (zoom 13)'], [14, 'Street level (zoom 14)']] }
+  ]],
+  ['Walking radius', [
+    { key: 'travelProfile', label: 'Getting around', options: [['walk', 'Walking (4.3 km/h)'], ['easy', 'Easy pace / buggy (3.2 km/h)'], ['cycle', 'Cycling (15 km/h)'], ['scooter', 'E-scooter (18 km/h)'], ['custom', 'Custom speed']] },
+    { key: 'travelSpeedKmh', label: 'Custom speed (km/h)', min: 1, max: 40, step: 0.1 },
+    { key: 'walkRings', label: 'Rings (minutes)', hint: `Up to ${DaftSettings.MAX_RINGS}, separated by commas` },
+    { key: 'coverage', label: 'Coverage across the map' }
+  ]],
+  ['Listings', [
+    { key: 'listingBadges', label: 'Nearest-stop badges' },
+    { key: 'listingSort', label: 'Order results', options: [['daft', 'Daft order'], ['walk', 'Nearest first']] },
+    { key: 'listingMaxWalk', label: 'Hide results further than', options: [[0, 'Any distance'], [5, '5 min walk'], [10, '10 min walk'], [20, '20 min walk']] },
+    { key: 'listingMode', label: '… from', options: [['any', 'any stop'], ['luas', 'Luas'], ['dart', 'DART'], ['rail', 'Irish Rail']] }
+  ]],
+  ['Display', [
+    { key: 'theme', label: 'Colours', options: DaftThemes.IDS.map(id => [id, DaftThemes.THEMES[id].name]) },
+    { key: 'opacity', label: 'Opacity (%)', min: 10, max: 100, step: 5 },
+    { key: 'controlPanel', label: 'Controls on the map', hint: 'Beside Daft\'s map controls; Alt+Shift+P' }
+  ]]
+];
+
+let settings = DaftSettings.defaults();
+let profiles = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+  buildFields();
+  chrome.storage.local.get([SETTINGS_KEY, PROFILES_KEY], r => {
+    settings = DaftSettings.normalize(r[SETTINGS_KEY]);
+    profiles = r[PROFILES_KEY] || [];
+    render();
+  });
+  // Changed from the popup or a Daft.ie tab while this page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[SETTINGS_KEY]) settings = DaftSettings.normalize(changes[SETTINGS_KEY].newValue);
+    if (changes[PROFILES_KEY]) profiles = changes[PROFILES_KEY].newValue || [];
+    if (changes[SETTINGS_KEY] || changes[PROFILES_KEY]) render();
+  });
+
+  document.getElementById('op-save-form').addEventListener('submit', e => {
+    e.preventDefault();
+    const input = document.getElementById('op-profile-name');
+    if (!input.value.trim()) return;
+    saveProfile(input.value.trim(), DaftSettings.pick(settings));
+    input.value = '';
+  });
+  document.getElementById('op-export').addEventListener('click', () =>
+    download('commute-check-profiles.json', DaftSettings.exportProfiles(profiles)));
+  const file = document.getElementById('op-import-file');
+  document.getElementById('op-import').addEventListener('click', () => file.click());
+  file.addEventListener('change', () => {
+    if (file.files[0]) importFile(file.files[0]);
+    file.value = '';
+  });
+});
+
+/** Merges changes into the stored settings, leaving keys changed elsewhere alone. */
+function saveSettings(changes) {
+  settings = { ...settings, ...changes };
+  DaftSettings.update(chrome.storage.local, changes);
+}
+
+function saveProfiles() {
+  chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+}
+
+/** Adds a profile, or replaces the settings of the one with the same name. */
+function saveProfile(name, profileSettings) {
+  const existing = profiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+  if (existing) existing.settings = profileSettings;
+  else profiles = [...profiles, { id: 'profile-' + Date.now().toString(36) + profiles.length, name, settings: profileSettings }];
+  saveProfiles();
+  return !!existing;
+}
+
+function render() {
+  renderProfiles();
+  syncFields();
+  renderPlaces();
+}
+
+function renderProfiles() {
+  const list = document.getElementById('op-profiles');
+  list.innerHTML = '';
+  for (const p of profiles) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'op-name';
+    label.textContent = p.name;
+    li.appendChild(label);
+    if (DaftSettings.matches(settings, p)) {
+      const tag = document.createElement('span');
+      tag.className = 'op-tag';
+      tag.textContent = 'In use';
+      li.appendChild(tag);
+    }
+    const button = (text, title, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = text;
+      b.title = title;
+      b.addEventListener('click', onClick);
+      li.appendChild(b);
+    };
+    button('Use', 'Switch to this profile', () => {
+      saveSettings(DaftSettings.pick(DaftSettings.normalize(p.settings)));
+    });
+    button('Update', 'Replace this profile with the current settings', () => {
+      p.settings = DaftSettings.pick(settings);
+      saveProfiles();
+    });
+    button('Rename', 'Rename this profile', () => {
+      const name = (prompt('Profile name', p.name) || '').trim().slice(0, 40);
+      if (!name || name === p.name) return;
+      if (profiles.some(x => x !== p && x.name.toLowerCase() === name.toLowerCase())) {
+        showMessages([`There is already a profile called "${name}"`]);
+        return;
+      }
+      p.name = name;
+      saveProfiles();
+    });
+    button('Export', 'Download this profile to share', () =>
+      download(`commute-check-${p.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`, DaftSettings.exportProfiles([p])));
+    button('Delete', 'Delete this profile', () => {
+      if (!confirm(`Delete the profile "${p.name}"?`)) return;
+      profiles = profiles.filter(x => x !== p);
+      saveProfiles();
+    });
+    list.appendChild(li);
+  }
+  document.getElementById('op-profiles-empty').hidden = profiles.length > 0;
+  document.getElementById('op-export').disabled = profiles.length === 0;
+}
+
+function importFile(file) {
+  if (file.size > MAX_IMPORT_BYTES) {
+    showMessages(['That file is too large to be a profiles export']);
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => {
+    const fallback = file.name.replace(/\.json$/i, '').slice(0, 40) || 'Imported';
+    const { profiles: found, errors } = DaftSettings.parseProfiles(String(reader.result), fallback);
+    let replaced = 0;
+    for (const p of found) if (saveProfile(p.name, p.settings)) replaced++;
+    const summary = found.length
+      ? `Imported ${found.length === 1 ? '1 profile' : `${found.length} profiles`}` + (replaced ? ` (${replaced} replaced)` : '')
+      : 'Nothing imported';
+    showMessages([summary, ...errors], found.length > 0);
+  };
+  reader.readAsText(file);
+}
+
+function showMessages(lines, ok = false) {
+  const list = document.getElementById('op-messages');
+  list.innerHTML = '';
+  lines.forEach((text, i) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    if (i === 0 && ok) li.className = 'op-ok';
+    list.appendChild(li);
+  });
+}
+
+// ─── Settings form ───
+
+function buildFields() {
+  const root = document.getElementById('op-fields');
+  for (const [title, fields] of SECTIONS) {
+    const h = document.createElement('h3');
+    h.textContent = title;
+    root.appendChild(h);
+    for (const field of fields) {
+      const row = document.createElement('label');
+      row.className = 'op-field';
+      row.dataset.key = field.key;
+      row.innerHTML = '<span class="op-label"></span>';
+      row.firstChild.textContent = field.label;
+      const input = makeInput(field);
+      input.id = 'op-' + field.key;
+      row.appendChild(input);
+      if (field.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'op-field-hint';
+        hint.textContent = field.hint;
+        row.appendChild(hint);
+      }
+      input.addEventListener('change', () => {
+        const value = readInput(field, input);
+        if (!SCHEMA[field.key](value)) { syncFields(); return; }
+        saveSettings({ [field.key]: value });
+      });
+      root.appendChild(row);
+    }
+  }
+}
+
+function makeInput(field) {
+  const def = DEFAULTS[field.key];
+  if (typeof def === 'boolean') {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    return input;
+  }
+  if (field.options) {
+    const sel = document.createElement('select');
+    for (const [value, text] of field.options) sel.add(new Option(text, value));
+    return sel;
+  }
+  const input = document.createElement('input');
+  if (Array.isArray(def)) {
+    input.type = 'text';
+  } else {
+    input.type = 'number';
+    Object.assign(input, { min: field.min, max: field.max, step: field.step });
+  }
+  return input;
+}
+
+function readInput(field, input) {
+  const def = DEFAULTS[field.key];
+  if (typeof def === 'boolean') return input.checked;
+  if (Array.isArray(def)) return input.value.split(/[\s,]+/).filter(Boolean).map(Number);
+  return typeof def === 'number' ? +input.value : input.value;
+}
+
+function syncFields() {
+  for (const [, fields] of SECTIONS) {
+    for (const field of fields) {
+      const input = document.getElementById('op-' + field.key);
+      const value = settings[field.key];
+      if (input.type === 'checkbox') input.checked = value;
+      else input.value = Array.isArray(value) ? [...value].sort((a, b) => a - b).join(', ') : value;
+    }
+  }
+  document.querySelector('.op-field[data-key="travelSpeedKmh"]').hidden = settings.travelProfile !== 'custom';
+}
+
+// ─── Places ───
+
+function renderPlaces() {
+  const list = (id, items, describe, remove) => {
+    const ul = document.getElementById(id);
+    ul.innerHTML = '';
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.className = 'op-empty';
+      li.textContent = 'None';
+      ul.appendChild(li);
+    }
+    for (const item of items) {
+      const li = document.createElement('li');
+      li.innerHTML = '<span class="op-name"></span><span class="op-sub"></span><button type="button">Remove</button>';
+      li.children[0].textContent = item.name;
+      li.children[1].textContent = describe(item);
+      li.children[2].addEventListener('click', () => saveSettings(remove(item)));
+      ul.appendChild(li);
+    }
+  };
+  list('op-destinations', settings.destinations, d => `${d.lat.toFixed(5)}, ${d.lng.toFixed(5)}`,
+    d => ({ destinations: settings.destinations.filter(x => x !== d) }));
+  list('op-areas', settings.areas, a => `${a.coords.length} corners`, a => {
+    const changes = { areas: settings.areas.filter(x => x !== a) };
+    if (settings.listingArea === a.id) changes.listingArea = '';
+    return changes;
+  });
+}
+
+function download(name, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1,12 +1,16 @@
 /**
  * pageScript.js — injected into the page context so we can access MapLibre GL internals.
- * Communicates with the content script via window.postMessage.
+ * Communicates with the content script via window.postMessage.  Once a map is
+ * found it also hosts the transit layers natively (DAFT_TRANSIT_NATIVE_*).
  *
  * Detection strategies (in order):
  *   1. Monkey-patch maplibregl.Map constructor (catches new maps)
  *   2. React fiber traversal (finds existing map via React internals)
  *   3. Canvas internal lookup (finds map via canvas __bindbindings)
  *   4. Polling with multiple heuristics
+ *
+ * When several maps exist (a listing page's inline map plus its "view on
+ * map" modal) we follow the newest visible one, and fall back when it goes.
  */
 (function () {
   'use strict';
@@ -15,9 +19,16 @@
   let pollAttempts = 0;
   const MAX_POLL = 40;
 
+  const MAP_SELECTOR = '.maplibregl-map, .mapboxgl-map';
+
+  // Same rule as MapAdapter.detect(): last visible map, else the first one
+  function targetContainer() {
+    const all = [...document.querySelectorAll(MAP_SELECTOR)];
+    return all.filter(el => el.getBoundingClientRect().width > 0).pop() || all[0] || null;
+  }
+
   // ─── Strategy 1: React fiber traversal ───
-  function findMapViaFiber() {
-    const container = document.querySelector('.maplibregl-map, .mapboxgl-map');
+  function findMapViaFiber(container) {
     if (!container) return null;
 
     const fiberKey = Object.keys(container).find(k => k.startsWith('__reactFiber'));
@@ -52,8 +63,8 @@
   }
 
   // ─── Strategy 2: Canvas internal lookup ───
-  function findMapViaCanvas() {
-    const canvases = document.querySelectorAll('.maplibregl-canvas, .mapboxgl-canvas');
+  function findMapViaCanvas(container) {
+    const canvases = container.querySelectorAll('.maplibregl-canvas, .mapboxgl-canvas');
     for (const canvas of canvases) {
       // MapLibre stores a reference on the canvas or its parent
       const keys = Object.keys(canvas);
@@ -75,20 +86,24 @@
   }
 
   // ─── Strategy 3: Global/known patterns ───
-  function findMapViaGlobals() {
-    if (window.maplibregl && window.maplibregl._maps && window.maplibregl._maps.length) {
-      return window.maplibregl._maps[0];
+  function findMapViaGlobals(container) {
+    const ours = m => m && typeof m === 'object' && m.getCenter && m.getBounds &&
+      (!m.getContainer || m.getContainer() === container);
+    if (window.maplibregl && window.maplibregl._maps) {
+      const m = window.maplibregl._maps.find(ours);
+      if (m) return m;
     }
     // Some apps store the map on window
     for (const k of ['map', '_map', '__map', 'mapInstance']) {
-      const v = window[k];
-      if (v && typeof v === 'object' && v.getCenter && v.getBounds) return v;
+      if (ours(window[k])) return window[k];
     }
     return null;
   }
 
   function findMapInstance() {
-    return findMapViaFiber() || findMapViaCanvas() || findMapViaGlobals();
+    const container = targetContainer();
+    if (!container) return null;
+    return findMapViaFiber(container) || findMapViaCanvas(container) || findMapViaGlobals(container);
   }
 
   // ─── Viewport / Projection ───
@@ -135,6 +150,199 @@
     }
   }
 
+  // ─── Native layers ───
+  // The content script sends ready-styled GeoJSON (colours, widths, radii in
+  // feature properties).  We keep the last scene so a basemap style swap,
+  // which drops custom layers, can be repaired.
+  const SRC_LINES = 'dt-transit-lines';
+  const SRC_STOPS = 'dt-transit-stops';
+  const SRC_REACH = 'dt-transit-reach';
+  const SRC_COVER = 'dt-transit-coverage';
+  const SRC_AREAS = 'dt-transit-areas';
+  const NATIVE_LAYERS = ['dt-transit-labels', 'dt-transit-stops', 'dt-transit-stops-area', 'dt-transit-lines-planned', 'dt-transit-lines', 'dt-transit-reach-outline', 'dt-transit-reach-fill', 'dt-transit-areas-line', 'dt-transit-areas-fill', 'dt-transit-coverage'];
+  const AREA_COLOR = '#f59e0b';
+  const EMPTY_FC = { type: 'FeatureCollection', features: [] };
+  let scene = null;      // { lines, stops, coverage, areas, opacity, labels }
+  let reach = EMPTY_FC;
+  let hoverId = null;
+  const interactiveMaps = new WeakSet();
+  const LINE_HIT_PX = 6;  // slack around a line for clicks, as the SVG overlay has
+
+  // Features off a highlighted route carry fade < 1, which scales the overlay opacity
+  const faded = () => ['*', scene.opacity, ['get', 'fade']];
+
+  function addNativeLayers(map) {
+    if (map.getLayer('dt-transit-stops')) {
+      map.getSource(SRC_LINES).setData(scene.lines);
+      map.getSource(SRC_STOPS).setData(scene.stops);
+      map.getSource(SRC_COVER).setData(scene.coverage);
+      map.getSource(SRC_AREAS).setData(scene.areas);
+      for (const id of ['dt-transit-lines', 'dt-transit-lines-planned']) map.setPaintProperty(id, 'line-opacity', faded());
+      map.setPaintProperty('dt-transit-stops', 'circle-opacity', faded());
+      map.setPaintProperty('dt-transit-stops', 'circle-stroke-opacity', faded());
+      map.setPaintProperty('dt-transit-stops-area', 'circle-stroke-opacity', faded());
+      syncLabelLayer(map);
+      return;
+    }
+    removeNativeLayers(map); // anything half-added by an earlier failure
+    // Coverage, drawn areas, walk rings and lines under the basemap's labels; stops on top, as the SVG had them
+    const label = (map.getStyle().layers || []).find(l => l.type === 'symbol');
+    const before = label && label.id;
+    map.addSource(SRC_COVER, { type: 'geojson', data: scene.coverage });
+    map.addSource(SRC_REACH, { type: 'geojson', data: reach });
+    map.addLayer({
+      id: 'dt-transit-coverage', type: 'fill', source: SRC_COVER,
+      paint: { 'fill-color': ['get', 'color'], 'fill-opacity': 0.1 }
+    }, before);
+    map.addSource(SRC_AREAS, { type: 'geojson', data: scene.areas });
+    map.addLayer({
+      id: 'dt-transit-areas-fill', type: 'fill', source: SRC_AREAS,
+      paint: { 'fill-color': AREA_COLOR, 'fill-opacity': 0.08 }
+    }, before);
+    map.addLayer({
+      id: 'dt-transit-areas-line', type: 'line', source: SRC_AREAS,
+      paint: { 'line-color': AREA_COLOR, 'line-width': 2, 'line-dasharray': [3, 2] }
+    }, before);
+    map.addSource(SRC_LINES, { type: 'geojson', data: scene.lines });
+    map.addSource(SRC_STOPS, { type: 'geojson', data: scene.stops, generateId: true });
+    map.addLayer({
+      id: 'dt-transit-reach-fill', type: 'fill', source: SRC_REACH,
+      paint: { 'fill-color': ['get', 'color'], 'fill-opacity': ['get', 'opacity'], 'fill-antialias': false }
+    }, before);
+    map.addLayer({
+      id: 'dt-transit-reach-outline', type: 'line', source: SRC_REACH,
+      paint: { 'line-color': ['get', 'color'], 'line-opacity': 0.45, 'line-width': 1.5, 'line-dasharray': [4, 2.7] }
+    }, before);
+    const line = {
+      type: 'line', source: SRC_LINES,
+      layout: { 'line-cap': 'round', 'line-join': 'round', 'line-sort-key': ['get', 'z'] },
+      paint: { 'line-color': ['get', 'color'], 'line-width': ['get', 'width'], 'line-opacity': faded() }
+    };
+    map.addLayer({ ...line, id: 'dt-transit-lines', filter: ['!', ['get', 'dashed']] }, before);
+    map.addLayer({ ...line, id: 'dt-transit-lines-planned', filter: ['get', 'dashed'],
+      paint: { ...line.paint, 'line-dasharray': [2.3, 1.7] } }, before);
+    const hovered = (on, off) => ['case', ['boolean', ['feature-state', 'hover'], false], on, off];
+    // A ring around stops inside a drawn area
+    map.addLayer({
+      id: 'dt-transit-stops-area', type: 'circle', source: SRC_STOPS, filter: ['get', 'inArea'],
+      paint: {
+        'circle-color': 'rgba(0,0,0,0)',
+        'circle-radius': ['+', ['get', 'r'], 3.5],
+        'circle-stroke-color': AREA_COLOR,
+        'circle-stroke-width': 2,
+        'circle-stroke-opacity': faded()
+      }
+    });
+    map.addLayer({
+      id: 'dt-transit-stops', type: 'circle', source: SRC_STOPS,
+      layout: { 'circle-sort-key': ['get', 'z'] },
+      paint: {
+        'circle-color': ['get', 'fill'],
+        'circle-radius': hovered(6, ['get', 'r']),
+        'circle-stroke-color': ['get', 'stroke'],
+        'circle-stroke-width': hovered(2.5, 1.5),
+        'circle-opacity': faded(),
+        'circle-stroke-opacity': faded()
+      }
+    });
+    syncLabelLayer(map);
+    wireStopEvents(map);
+  }
+
+  // Stop names as a symbol layer: MapLibre does the collision pass itself,
+  // placing lower sort keys first, so higher-ranked stops win
+  function syncLabelLayer(map) {
+    if (map.getLayer('dt-transit-labels')) map.removeLayer('dt-transit-labels');
+    if (!scene.labels) return;
+    // Glyphs come from the basemap's style, so borrow a font stack it already uses
+    const font = (map.getStyle().layers || []).map(l => l.layout && l.layout['text-font']).find(Boolean);
+    if (!font) return;
+    map.addLayer({
+      id: 'dt-transit-labels', type: 'symbol', source: SRC_STOPS, minzoom: scene.labels.minZoom,
+      filter: ['==', ['get', 'fade'], 1],  // no names for dimmed stops
+      layout: {
+        'text-field': ['get', 'name'],
+        'text-font': font,
+        'text-size': 11,
+        'text-variable-anchor': ['left', 'right', 'bottom', 'top'],
+        'text-radial-offset': 0.8,
+        'symbol-sort-key': ['-', ['get', 'rank']]
+      },
+      paint: {
+        'text-color': scene.labels.color,
+        'text-halo-color': scene.labels.halo,
+        'text-halo-width': 1.5,
+        'text-opacity': scene.opacity
+      }
+    }, 'dt-transit-stops');
+  }
+
+  function removeNativeLayers(map) {
+    for (const id of NATIVE_LAYERS) if (map.getLayer(id)) map.removeLayer(id);
+    for (const id of [SRC_STOPS, SRC_LINES, SRC_REACH, SRC_COVER, SRC_AREAS]) if (map.getSource(id)) map.removeSource(id);
+    hoverId = null;
+  }
+
+  function setHover(map, id) {
+    if (hoverId !== null) map.setFeatureState({ source: SRC_STOPS, id: hoverId }, { hover: false });
+    hoverId = id;
+    if (id !== null) map.setFeatureState({ source: SRC_STOPS, id }, { hover: true });
+  }
+
+  // Hovers and clicks go back to the content script, which owns the tooltip,
+  // the panel and the route highlight
+  function wireStopEvents(map) {
+    if (interactiveMaps.has(map)) return;
+    interactiveMaps.add(map);
+    const send = (type, f) => {
+      const p = map.project(f.geometry.coordinates);
+      const [lng, lat] = f.geometry.coordinates;
+      window.postMessage({ type, payload: { stop: { ...f.properties, lng, lat }, x: p.x, y: p.y } }, '*');
+    };
+    map.on('mousemove', 'dt-transit-stops', e => {
+      const f = e.features && e.features[0];
+      if (!f || f.id === hoverId) return;
+      setHover(map, f.id);
+      map.getCanvas().style.cursor = 'pointer';
+      send('DAFT_TRANSIT_STOP_ENTER', f);
+    });
+    map.on('mouseleave', 'dt-transit-stops', () => {
+      setHover(map, null);
+      map.getCanvas().style.cursor = '';
+      window.postMessage({ type: 'DAFT_TRANSIT_STOP_LEAVE' }, '*');
+    });
+    map.on('click', 'dt-transit-stops', e => {
+      const f = e.features && e.features[0];
+      if (f) send('DAFT_TRANSIT_STOP_CLICK', f);
+    });
+    // Lines are thin, so look a few pixels around the click; a stop there wins
+    map.on('click', e => {
+      if (!map.getLayer('dt-transit-lines')) return;
+      const { x, y } = e.point;
+      const box = [[x - LINE_HIT_PX, y - LINE_HIT_PX], [x + LINE_HIT_PX, y + LINE_HIT_PX]];
+      if (map.queryRenderedFeatures(e.point, { layers: ['dt-transit-stops'] }).length) return;
+      const f = map.queryRenderedFeatures(box, { layers: ['dt-transit-lines'] }).find(f => f.properties.route);
+      if (f) window.postMessage({ type: 'DAFT_TRANSIT_LINE_CLICK', payload: { route: f.properties.route } }, '*');
+    });
+  }
+
+  function drawNative(id, payload) {
+    const map = mapInstance;
+    const reply = ok => window.postMessage({ type: 'DAFT_TRANSIT_NATIVE_RESULT', payload: { id, ok } }, '*');
+    if (!map || !map.addSource) return reply(false);
+    scene = { lines: payload.lines, stops: payload.stops, coverage: payload.coverage, areas: payload.areas, opacity: payload.opacity, labels: payload.labels };
+    const apply = () => {
+      try { addNativeLayers(map); reply(true); }
+      catch (e) {
+        scene = null;
+        try { removeNativeLayers(map); } catch (err) {}
+        reply(false);
+      }
+    };
+    if (map.isStyleLoaded()) apply();
+    else map.once('idle', () => { if (scene && map === mapInstance) apply(); });
+  }
+
   // ─── Message handling ───
   window.addEventListener('message', function (e) {
     if (e.data && e.data.type === 'DAFT_TRANSIT_PROJECT_REQUEST') {
@@ -148,6 +356,22 @@
     if (e.data && e.data.type === 'DAFT_TRANSIT_GET_VIEWPORT') {
       sendViewport();
     }
+    if (e.data && e.data.type === 'DAFT_TRANSIT_FIND_MAP') {
+      findMapAgain();
+    }
+    if (e.data && e.data.type === 'DAFT_TRANSIT_NATIVE_DRAW') {
+      drawNative(e.data.payload.id, e.data.payload);
+    }
+    if (e.data && e.data.type === 'DAFT_TRANSIT_NATIVE_CLEAR') {
+      scene = null;
+      reach = EMPTY_FC;
+      try { if (mapInstance) removeNativeLayers(mapInstance); } catch (err) {}
+    }
+    if (e.data && e.data.type === 'DAFT_TRANSIT_NATIVE_REACH') {
+      reach = e.data.payload.reach;
+      const src = mapInstance && mapInstance.getSource && mapInstance.getSource(SRC_REACH);
+      if (src) src.setData(reach);
+    }
   });
 
   // ─── Smooth pan tracking ───
@@ -183,12 +407,21 @@
     } catch (e) {}
   }
 
+  const wiredMaps = new WeakSet();
+
   function onMapFound(map) {
     mapInstance = map;
+    stopObserving();
+    _isMoving = false;
+    scene = null;  // the content script re-sends it for this map
     window.postMessage({ type: 'DAFT_TRANSIT_MAP_FOUND' }, '*');
     sendViewport();
 
+    if (wiredMaps.has(map)) return;
+    wiredMaps.add(map);
+    // Handlers stay on maps we've moved away from; only the current one reports
     map.on('movestart', () => {
+      if (map !== mapInstance) return;
       _isMoving = true;
       // Pick two geo-anchors: map center and a point offset to the right
       const bounds = map.getBounds();
@@ -199,15 +432,22 @@
       _anchorB = { geo: [midLng, c.lat], px: map.project([midLng, c.lat]) };
     });
     map.on('move', () => {
-      if (_isMoving) sendPanDelta();
+      // Native layers move with the map; only the SVG fallback needs deltas
+      if (_isMoving && map === mapInstance && !scene) sendPanDelta();
+    });
+    // Switching basemap style drops custom layers
+    map.on('styledata', () => {
+      if (map !== mapInstance || !scene || map.getSource(SRC_REACH)) return;
+      try { addNativeLayers(map); } catch (e) {}
     });
     map.on('moveend', () => {
+      if (map !== mapInstance) return;
       _isMoving = false;
       _anchorA = null;
       _anchorB = null;
       sendViewport();
     });
-    map.on('resize', sendViewport);
+    map.on('resize', () => { if (map === mapInstance) sendViewport(); });
   }
 
   // ─── Polling ───
@@ -234,11 +474,12 @@
     const OrigMap = lib.Map;
     lib.Map = function (...args) {
       const instance = new OrigMap(...args);
+      // Newest map wins — a modal map opens over the one already tracked
       instance.on('load', () => {
-        if (!mapInstance) onMapFound(instance);
+        if (mapInstance !== instance) onMapFound(instance);
       });
       setTimeout(() => {
-        if (!mapInstance && instance.loaded && instance.loaded()) {
+        if (mapInstance !== instance && instance.loaded && instance.loaded()) {
           onMapFound(instance);
         }
       }, 100);
@@ -249,26 +490,43 @@
     return true;
   }
 
-  // ─── DOM observer for late-appearing maps ───
+  // ─── Late-appearing and replaced maps ───
+  // Follows whichever map is on top, as the content script does
+  function findMapAgain() {
+    const target = targetContainer();
+    const current = mapInstance && mapInstance.getContainer();
+    if (target && target === current) return;
+    const map = target && findMapInstance();
+    if (map && map !== mapInstance) { onMapFound(map); return; }
+    // The map we were tracking was torn down (modal closed) with nothing to replace it
+    if (current && !current.isConnected) {
+      mapInstance = null;
+      window.postMessage({ type: 'DAFT_TRANSIT_MAP_NOT_FOUND' }, '*');
+      observeForMaps();
+    }
+  }
+
+  // Watches the whole page only until there's a map. After that the content
+  // script's own page observer sends FIND_MAP when a modal opens or closes.
+  let observer = null;
+
   function observeForMaps() {
+    if (observer) return;
     let pending = false;
-    const observer = new MutationObserver(() => {
-      if (mapInstance) { observer.disconnect(); return; }
+    observer = new MutationObserver(() => {
       if (pending) return; // Coalesce rapid mutations
       pending = true;
       setTimeout(() => {
         pending = false;
-        if (mapInstance) { observer.disconnect(); return; }
-        const canvas = document.querySelector('.maplibregl-canvas, .mapboxgl-canvas');
-        if (canvas) {
-          const map = findMapInstance();
-          if (map) { observer.disconnect(); onMapFound(map); }
-        }
+        findMapAgain();
       }, 300);
     });
     observer.observe(document.body, { childList: true, subtree: true });
-    // Auto-disconnect after 30s
-    setTimeout(() => observer.disconnect(), 30000);
+  }
+
+  function stopObserving() {
+    if (observer) observer.disconnect();
+    observer = null;
   }
 
   // ─── Start ───
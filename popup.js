@@ -1,22 +1,38 @@
 /* Commute Check — Popup Script */
 
-const DEFAULT_SETTINGS = {
-  enabled: false,
-  luasLines: true, luasStops: true,
-  dartLines: true, dartStations: true,
-  irishRailLines: true, irishRailStations: true,
-  opacity: 75,
-  walkRadius5: true, walkRadius10: true, walkRadius20: false
-};
+const { SETTINGS_KEY, PROFILES_KEY, SHORTLIST_KEY, TRAVEL_PROFILES, MAX_RINGS } = DaftSettings;
+
+let profiles = [];
 
 document.addEventListener('DOMContentLoaded', () => {
-  chrome.storage.local.get('daftTransitSettings', r => {
-    const settings = { ...DEFAULT_SETTINGS, ...(r.daftTransitSettings || {}) };
+  const themes = document.getElementById('dt-theme');
+  for (const id of DaftThemes.IDS) themes.add(new Option(DaftThemes.THEMES[id].name, id));
+  chrome.storage.local.get([SETTINGS_KEY, PROFILES_KEY], r => {
+    const settings = DaftSettings.normalize(r[SETTINGS_KEY]);
+    profiles = r[PROFILES_KEY] || [];
     syncUI(settings);
     wireControls(settings);
     updateDisabledState(settings);
     checkActiveTab();
+    loadRoutes(settings);
+    // Changes made elsewhere — the map panel, a shortcut, the options page
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !(changes[SETTINGS_KEY] || changes[PROFILES_KEY])) return;
+      if (changes[PROFILES_KEY]) profiles = changes[PROFILES_KEY].newValue || [];
+      if (changes[SETTINGS_KEY]) Object.assign(settings, DaftSettings.normalize(changes[SETTINGS_KEY].newValue));
+      syncUI(settings);
+      updateDisabledState(settings);
+    });
+  });
+  chrome.storage.local.get(SHORTLIST_KEY, r => {
+    const n = (r[SHORTLIST_KEY] || []).length;
+    document.getElementById('dt-shortlist-count').textContent = `(${n})`;
   });
+  document.getElementById('dt-open-shortlist').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('shortlist.html') });
+  });
+  document.getElementById('dt-open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  showDataDate();
 });
 
 function syncUI(settings) {
@@ -28,26 +44,181 @@ function syncUI(settings) {
   el('dt-dart-stations').checked = settings.dartStations;
   el('dt-rail-lines').checked = settings.irishRailLines;
   el('dt-rail-stations').checked = settings.irishRailStations;
-  el('dt-walk-5').checked = settings.walkRadius5;
-  el('dt-walk-10').checked = settings.walkRadius10;
-  el('dt-walk-20').checked = settings.walkRadius20;
+  el('dt-future-lines').checked = settings.futureLines;
+  el('dt-future-stations').checked = settings.futureStations;
+  el('dt-step-free').checked = settings.stepFreeOnly;
+  el('dt-stop-labels').checked = settings.stopLabels;
+  el('dt-label-zoom').value = settings.labelMinZoom;
+  el('dt-travel-profile').value = settings.travelProfile;
+  el('dt-travel-speed').value = settings.travelSpeedKmh;
+  el('dt-speed-row').hidden = settings.travelProfile !== 'custom';
+  el('dt-coverage').checked = settings.coverage;
+  el('dt-listing-badges').checked = settings.listingBadges;
+  el('dt-control-panel').checked = settings.controlPanel;
+  el('dt-route').value = settings.highlightRoute;
   el('dt-opacity').value = settings.opacity;
   el('dt-opacity-val').textContent = settings.opacity + '%';
+  el('dt-theme').value = settings.theme;
+  renderTheme(settings);
+  renderDestinations(settings);
+  renderAreas(settings);
+  renderRings(settings);
+  renderProfiles(settings);
+}
+
+// The layers a route's lines and stops are drawn in, by the first line feature
+const ROUTE_LAYERS = {
+  luas: ['luasLines', 'luasStops'],
+  dart: ['dartLines', 'dartStations'],
+  rail: ['irishRailLines', 'irishRailStations']
+};
+const routeLayers = {};  // route → ROUTE_LAYERS entry, filled by loadRoutes()
+
+/** The highlight picker's routes, from the bundled line data. */
+function loadRoutes(settings) {
+  const get = file => fetch(`data/${file}`).then(r => r.ok ? r.json() : null).catch(() => null);
+  Promise.all([get('luas_lines.json'), get('rail_lines.json')]).then(([luas, rail]) => {
+    const sel = document.getElementById('dt-route');
+    for (const [label, fc] of [['Luas', luas], ['Rail', rail]]) {
+      const names = new Map();
+      for (const { properties: p } of fc?.features || []) {
+        if (!p.route || names.has(p.route)) continue;
+        names.set(p.route, p.routeName || p.name);
+        routeLayers[p.route] = ROUTE_LAYERS[p.mode === 'luas' ? 'luas' : p.line === 'DART' ? 'dart' : 'rail'];
+      }
+      if (!names.size) continue;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      [...names].sort((a, b) => a[1].localeCompare(b[1])).forEach(([route, name]) => group.appendChild(new Option(name, route)));
+      sel.appendChild(group);
+    }
+    sel.value = settings.highlightRoute;
+  });
+}
+
+/** The layer swatches in the theme's colours, and a sample of the map under it. */
+function renderTheme(settings) {
+  const theme = DaftThemes.get(settings.theme);
+  for (const el of document.querySelectorAll('[data-swatch]')) {
+    el.style[el.style.color ? 'color' : 'background'] = theme.colors[el.dataset.swatch];
+  }
+  const preview = document.getElementById('dt-theme-preview');
+  preview.className = `dt-theme-preview dt-ui-${theme.ui}`;
+  preview.innerHTML = '';
+  const span = (cls, style) => {
+    const s = document.createElement('span');
+    s.className = cls;
+    Object.assign(s.style, style);
+    preview.appendChild(s);
+    return s;
+  };
+  for (const key of ['luasRed', 'luasGreen', 'dart', 'rail']) {
+    span('dt-tp-line', { background: theme.colors[key], height: 3 * theme.lineScale + 'px' });
+  }
+  for (const [, color] of theme.rings.slice(0, 3)) span('dt-tp-ring', { borderColor: color });
+  span('dt-tp-stop', { background: theme.colors.luasGreen, borderColor: theme.stopStroke });
+  span('dt-tp-label', { color: theme.label.color, textShadow: `0 0 2px ${theme.label.halo}, 0 0 2px ${theme.label.halo}` }).textContent = 'Ranelagh';
+  span('dt-tp-tip').textContent = 'Luas: Ranelagh';
+}
+
+/** Profiles from the options page; shows which one the settings in use are, if any. */
+function renderProfiles(settings) {
+  const sel = document.getElementById('dt-profile');
+  const current = profiles.find(p => DaftSettings.matches(settings, p));
+  sel.innerHTML = '';
+  if (!current) sel.add(new Option(profiles.length ? 'Unsaved settings' : 'No profiles yet', ''));
+  for (const p of profiles) sel.add(new Option(p.name, p.id));
+  sel.value = current ? current.id : '';
+  sel.disabled = profiles.length === 0;
+}
+
+function renderRings(settings) {
+  const list = document.getElementById('dt-ring-list');
+  const kmh = (TRAVEL_PROFILES[settings.travelProfile] || { kmh: settings.travelSpeedKmh }).kmh;
+  list.innerHTML = '';
+  [...settings.walkRings].sort((a, b) => a - b).forEach(min => {
+    const meters = min * kmh * 1000 / 60;
+    const li = document.createElement('li');
+    li.className = 'dt-dest-item';
+    li.innerHTML = '<span class="dt-color-dot"></span><span class="dt-layer-label"></span><button type="button" class="dt-dest-remove" aria-label="Remove">×</button>';
+    li.children[0].style.background = DaftThemes.ringColor(DaftThemes.get(settings.theme), min);
+    li.children[1].textContent = `${min} min (~${meters < 1000 ? Math.round(meters / 10) * 10 + 'm' : (meters / 1000).toFixed(1) + 'km'})`;
+    li.lastChild.addEventListener('click', () => {
+      save(settings, { walkRings: settings.walkRings.filter(m => m !== min) });
+      renderRings(settings);
+    });
+    list.appendChild(li);
+  });
+}
+
+function renderDestinations(settings) {
+  const list = document.getElementById('dt-dest-list');
+  list.innerHTML = '';
+  settings.destinations.forEach((d, i) => {
+    const li = document.createElement('li');
+    li.className = 'dt-dest-item';
+    li.innerHTML = '<span class="dt-layer-label"></span><button type="button" class="dt-dest-remove" aria-label="Remove">×</button>';
+    li.firstChild.textContent = d.name;
+    li.title = `${d.lat.toFixed(5)}, ${d.lng.toFixed(5)}`;
+    li.lastChild.addEventListener('click', () => {
+      save(settings, { destinations: settings.destinations.filter((_, j) => j !== i) });
+      renderDestinations(settings);
+    });
+    list.appendChild(li);
+  });
+}
+
+function renderAreas(settings) {
+  const list = document.getElementById('dt-area-list');
+  list.innerHTML = '';
+  settings.areas.forEach(a => {
+    const li = document.createElement('li');
+    li.className = 'dt-dest-item';
+    li.innerHTML = '<span class="dt-layer-label"></span><button type="button" class="dt-dest-remove" aria-label="Remove">×</button>';
+    li.firstChild.textContent = a.name;
+    li.title = `${a.coords.length} corners`;
+    li.lastChild.addEventListener('click', () => {
+      const changes = { areas: settings.areas.filter(x => x.id !== a.id) };
+      if (settings.listingArea === a.id) changes.listingArea = '';
+      save(settings, changes);
+      renderAreas(settings);
+    });
+    list.appendChild(li);
+  });
+}
+
+/**
+ * "53.34, -6.25", or a maps URL containing "@53.34,-6.25" / "q=53.34,-6.25".
+ * @returns {{lat, lng}|null} — null unless it lands on the island of Ireland
+ */
+function parseLatLng(text) {
+  const m = text.match(/@(-?\d+\.\d+),\s*(-?\d+\.\d+)/) ||
+            text.match(/(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  const lat = +m[1], lng = +m[2];
+  if (lat < 51.3 || lat > 55.5 || lng < -10.7 || lng > -5.3) return null;
+  return { lat, lng };
 }
 
 function wireControls(settings) {
+  // Profile switch — display and filters; the master toggle and places stay
+  document.getElementById('dt-profile').addEventListener('change', e => {
+    const profile = profiles.find(p => p.id === e.target.value);
+    if (!profile) return;
+    save(settings, DaftSettings.pick(DaftSettings.normalize(profile.settings)));
+    syncUI(settings);
+  });
+
   // Master toggle
   document.getElementById('dt-enabled').addEventListener('change', e => {
-    settings.enabled = e.target.checked;
-    save(settings);
+    save(settings, { enabled: e.target.checked });
     updateDisabledState(settings);
   });
 
   // Layer toggles
   const bind = (id, key) => {
     document.getElementById(id).addEventListener('change', e => {
-      settings[key] = e.target.checked;
-      save(settings);
+      save(settings, { [key]: e.target.checked });
     });
   };
   bind('dt-luas-lines', 'luasLines');
@@ -56,20 +227,102 @@ function wireControls(settings) {
   bind('dt-dart-stations', 'dartStations');
   bind('dt-rail-lines', 'irishRailLines');
   bind('dt-rail-stations', 'irishRailStations');
-  bind('dt-walk-5', 'walkRadius5');
-  bind('dt-walk-10', 'walkRadius10');
-  bind('dt-walk-20', 'walkRadius20');
+  bind('dt-future-lines', 'futureLines');
+  bind('dt-future-stations', 'futureStations');
+  bind('dt-step-free', 'stepFreeOnly');
+  bind('dt-stop-labels', 'stopLabels');
+  document.getElementById('dt-label-zoom').addEventListener('change', e => {
+    save(settings, { labelMinZoom: +e.target.value });
+  });
+
+  // Walking radius rings
+  document.getElementById('dt-travel-profile').addEventListener('change', e => {
+    save(settings, { travelProfile: e.target.value });
+    document.getElementById('dt-speed-row').hidden = settings.travelProfile !== 'custom';
+    renderRings(settings);
+  });
+  document.getElementById('dt-travel-speed').addEventListener('change', e => {
+    const kmh = +e.target.value;
+    if (!(kmh >= 1 && kmh <= 40)) { e.target.value = settings.travelSpeedKmh; return; }
+    save(settings, { travelSpeedKmh: kmh });
+    renderRings(settings);
+  });
+  document.getElementById('dt-ring-form').addEventListener('submit', e => {
+    e.preventDefault();
+    const input = document.getElementById('dt-ring-minutes');
+    const error = document.getElementById('dt-ring-error');
+    const min = Math.round(+input.value);
+    if (!(min >= 1 && min <= 60)) {
+      error.textContent = 'Enter a whole number of minutes, 1–60';
+      return;
+    }
+    if (settings.walkRings.includes(min)) {
+      error.textContent = `There is already a ${min} min ring`;
+      return;
+    }
+    if (settings.walkRings.length >= MAX_RINGS) {
+      error.textContent = `Up to ${MAX_RINGS} rings — remove one first`;
+      return;
+    }
+    error.textContent = '';
+    save(settings, { walkRings: [...settings.walkRings, min] });
+    renderRings(settings);
+    input.value = '';
+  });
+  bind('dt-coverage', 'coverage');
+  bind('dt-listing-badges', 'listingBadges');
+  bind('dt-control-panel', 'controlPanel');
+
+  // Route highlight — with the route's layers on, or there'd be nothing to see
+  document.getElementById('dt-route').addEventListener('change', e => {
+    const changes = { highlightRoute: e.target.value };
+    for (const key of routeLayers[e.target.value] || []) changes[key] = true;
+    save(settings, changes);
+    syncUI(settings);
+  });
+
+  // Commute destinations
+  document.getElementById('dt-dest-form').addEventListener('submit', e => {
+    e.preventDefault();
+    const name = document.getElementById('dt-dest-name');
+    const coords = document.getElementById('dt-dest-coords');
+    const error = document.getElementById('dt-dest-error');
+    const ll = parseLatLng(coords.value);
+    if (!name.value.trim()) {
+      error.textContent = 'Give the destination a name';
+      return;
+    }
+    if (!ll) {
+      error.textContent = 'Enter coordinates in Ireland, e.g. 53.3438, -6.2546';
+      return;
+    }
+    error.textContent = '';
+    save(settings, { destinations: [...settings.destinations, { name: name.value.trim(), ...ll }] });
+    renderDestinations(settings);
+    name.value = coords.value = '';
+  });
+
+  document.getElementById('dt-theme').addEventListener('change', e => {
+    save(settings, { theme: e.target.value });
+    renderTheme(settings);
+    renderRings(settings);
+  });
 
   // Opacity
   document.getElementById('dt-opacity').addEventListener('input', e => {
-    settings.opacity = +e.target.value;
+    save(settings, { opacity: +e.target.value });
     document.getElementById('dt-opacity-val').textContent = settings.opacity + '%';
-    save(settings);
   });
 }
 
-function save(settings) {
-  chrome.storage.local.set({ daftTransitSettings: settings });
+/**
+ * Applies changes to the popup's copy of the settings and merges them into
+ * the stored ones, so a change made elsewhere while the popup is open stays.
+ */
+function save(settings, changes) {
+  Object.assign(settings, changes);
+  DaftSettings.update(chrome.storage.local, changes);
+  renderProfiles(settings);
 }
 
 function updateDisabledState(settings) {
@@ -78,6 +331,18 @@ function updateDisabledState(settings) {
   if (label) label.textContent = settings.enabled ? 'On' : 'Off';
 }
 
+// data/meta.json is written by scripts/build-data.js; older bundles don't have it
+function showDataDate() {
+  fetch('data/meta.json').then(r => r.ok ? r.json() : null).then(meta => {
+    const dates = Object.values(meta?.feeds || {}).flat().map(f => f.feedDate).filter(Boolean).sort();
+    if (!dates.length) return;
+    const d = dates[dates.length - 1];
+    const month = new Date(Date.UTC(+d.slice(0, 4), +d.slice(4, 6) - 1, 1))
+      .toLocaleDateString('en-IE', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    document.querySelector('.dt-data-update').textContent = `Data last updated: ${month}`;
+  }).catch(() => {});
+}
+
 function checkActiveTab() {
   chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
     if (!tabs[0]) return;
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * bench-render.js — how much geometry the SVG overlay pushes through
+ * projection and serialisation, with and without lib/geometry.js culling
+ * and simplification.
+ *
+ *   node scripts/bench-render.js [--runs 50]
+ *
+ * Mirrors render()'s SVG path for the default layers (Luas + rail lines and
+ * stops): Web-Mercator projection of every vertex, then one <polyline> /
+ * <circle> string per feature.  The "indexed" column also pays for the grid
+ * query and re-joining runs; index build time is reported separately since
+ * it happens once per zoom level.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const G = require('../lib/geometry');
+
+const DATA = path.join(__dirname, '..', 'data');
+const load = f => JSON.parse(fs.readFileSync(path.join(DATA, f), 'utf8'));
+const lines = ['luas_lines.json', 'rail_lines.json'].flatMap(f => load(f).features);
+const stops = ['luas_stops.json', 'dart_stations.json'].flatMap(f => load(f).features);
+
+const args = process.argv.slice(2);
+const RUNS = +(args[args.indexOf('--runs') + 1] || 0) || 50;
+const W = 800, H = 600;
+
+// Same windows a user sees: all of Ireland, greater Dublin, a few streets
+const VIEWS = {
+  national: { west: -10.7, east: -5.3,   south: 51.3,  north: 55.5 },
+  dublin:   { west: -6.35, east: -6.15,  south: 53.3,  north: 53.4 },
+  street:   { west: -6.27, east: -6.245, south: 53.34, north: 53.352 }
+};
+
+function draw(parts, points, b) {
+  const vp = { bounds: b, containerRect: { width: W, height: H } };
+  const px = coords => G.project(coords.map(([lng, lat]) => ({ lat, lng })), vp);
+  const svg = [];
+  let vertices = 0;
+  for (const part of parts) {
+    vertices += part.length;
+    svg.push(`<polyline points="${px(part).map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}"/>`);
+  }
+  for (const p of px(points)) {
+    vertices++;
+    svg.push(`<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="4"/>`);
+  }
+  return { vertices, bytes: svg.join('').length };
+}
+
+function baseline(b) {
+  const parts = lines.flatMap(f => f.geometry.type === 'MultiLineString' ? f.geometry.coordinates : [f.geometry.coordinates]);
+  return draw(parts, stops.map(f => f.geometry.coordinates), b);
+}
+
+// Built on demand per zoom level, like TransitDataProvider
+const lineIndexes = {};
+const points = G.pointIndex(stops);
+
+function indexed(b) {
+  const dx = (b.east - b.west) * 0.5, dy = (b.north - b.south) * 0.5;
+  const bbox = { west: b.west - dx, east: b.east + dx, south: b.south - dy, north: b.north + dy };
+  const level = G.zoomLevel(Math.log2(W * 360 / ((b.east - b.west) * 512)));
+  const parts = G.linesInView(lineIndexes[level], bbox).flatMap(l => l.parts);
+  return draw(parts, points.query(bbox).map(f => f.geometry.coordinates), b);
+}
+
+function time(fn) {
+  const ms = [];
+  let out;
+  for (let i = 0; i < RUNS; i++) {
+    const t = process.hrtime.bigint();
+    out = fn();
+    ms.push(Number(process.hrtime.bigint() - t) / 1e6);
+  }
+  ms.sort((a, b) => a - b);
+  return { ...out, ms: ms[ms.length >> 1] };
+}
+
+const rows = [];
+for (const [name, b] of Object.entries(VIEWS)) {
+  const level = G.zoomLevel(Math.log2(W * 360 / ((b.east - b.west) * 512)));
+  const t = process.hrtime.bigint();
+  lineIndexes[level] = lineIndexes[level] || G.lineIndex(lines, level);
+  const build = Number(process.hrtime.bigint() - t) / 1e6;
+  const before = time(() => baseline(b));
+  const after = time(() => indexed(b));
+  rows.push([
+    `${name} (z${level})`,
+    before.vertices, after.vertices,
+    (before.bytes / 1024).toFixed(0) + ' KB', (after.bytes / 1024).toFixed(0) + ' KB',
+    before.ms.toFixed(2) + ' ms', after.ms.toFixed(2) + ' ms',
+    build.toFixed(1) + ' ms'
+  ]);
+}
+
+const head = ['view', 'vertices', '→ indexed', 'svg', '→ indexed', 'median', '→ indexed', 'index build'];
+const widths = head.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+const fmt = r => r.map((c, i) => String(c).padEnd(widths[i])).join('  ');
+console.log(`${RUNS} runs per view, ${W}×${H} px\n`);
+console.log(fmt(head));
+console.log(widths.map(w => '-'.repeat(w)).join('  '));
+rows.forEach(r => console.log(fmt(r)));
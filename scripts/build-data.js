@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * build-data.js — regenerate the bundled transit data from TFI's GTFS feeds.
+ *
+ *   node scripts/build-data.js --luas GTFS_LUAS.zip --rail GTFS_Irish_Rail.zip [--out data]
+ *
+ * Applies the canonical model from the top of contentScript.js — every
+ * feature carries { id, name, mode, line } — and writes:
+ *   luas_stops.json     Point        line: Red | Green | Both; facilities
+ *   luas_lines.json     LineString   line: Red | Green; route, routeName
+ *   dart_stations.json  Point        line: DART | Irish Rail; facilities
+ *   rail_lines.json     LineString   line: DART | Commuter | rail; route, routeName
+ *   headways.json       per-stop frequencies (see build-headways.js), each
+ *                       feed entry also naming its mode
+ *   meta.json           file, date and version of the feed behind each mode
+ *
+ * Facilities are stepFree, lifts, parkAndRide and bikeParking, each true or
+ * false and left out when unknown: step-free from GTFS wheelchair_boarding,
+ * the rest from STATION_FACILITIES below.
+ *
+ * Either feed can be given alone; the other mode's files are left as they
+ * are.  Output depends only on the feeds, so rebuilding an unchanged feed
+ * gives a byte-identical tree.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const gtfs = require('./lib/gtfs');
+const geo = require('./lib/geo');
+const { BANDS, computeHeadways } = require('./build-headways');
+
+const LINE_TOLERANCE_M = 5;    // Douglas–Peucker on shapes before writing
+const BRANCH_OFFSET_M  = 50;   // a shape point this far from kept shapes is "new" track
+const BRANCH_SHARE     = 0.1;  // …and a shape needs this share of new points to be kept
+
+// ─── Helpers ───
+
+function slug(s) {
+  return s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function round(c, dp) {
+  const k = 10 ** dp;
+  return [Math.round(c[0] * k) / k, Math.round(c[1] * k) / k];
+}
+
+function routeName(r) { return r.route_long_name || r.route_short_name || r.route_id; }
+
+function luasColour(r) {
+  const s = `${r.route_short_name} ${r.route_long_name}`;
+  return /green/i.test(s) ? 'Green' : /red/i.test(s) ? 'Red' : null;
+}
+
+function railLine(r) {
+  const s = `${r.route_short_name} ${r.route_long_name} ${r.route_desc || ''}`;
+  return /\bdart\b/i.test(s) ? 'DART' : /commuter/i.test(s) ? 'Commuter' : 'rail';
+}
+
+// Named routes for the route picker, first match wins; other rail
+// services are a route of their own, named as the feed names them
+const RAIL_ROUTES = [
+  ['dart',          'DART',                 (name, line) => line === 'DART'],
+  ['maynooth',      'Maynooth line',        name => /maynooth|m3 parkway|docklands/i.test(name)],
+  ['kildare',       'Kildare line',         name => /portlaoise|kildare/i.test(name)],
+  ['northern',      'Northern line',        name => /drogheda|dundalk/i.test(name)],
+  ['cork-commuter', 'Cork commuter',        name => /cobh|midleton/i.test(name)],
+  ['enterprise',    'Enterprise (Belfast)', name => /belfast/i.test(name)],
+  ['rosslare',      'Rosslare line',        name => /rosslare|europort/i.test(name)],
+  ['westport',      'Westport & Ballina',   name => /westport|ballina/i.test(name)]
+];
+
+function railRoute(name, line) {
+  const hit = RAIL_ROUTES.find(([, , test]) => test(name, line));
+  return hit ? { route: hit[0], routeName: hit[1] } : { route: slug(name), routeName: name.replace(/ - /g, ' – ') };
+}
+
+function luasRoute(colour) {
+  return { route: `luas-${colour.toLowerCase()}`, routeName: `Luas ${colour}` };
+}
+
+// What the feeds don't say, from the operators' own station information,
+// by stop name.  Only what's certain: anything unlisted stays unknown.
+// Irish Rail's per-station access, lifts and bike parking, and TII's for
+// Luas, still need to be gathered into this table.
+const STATION_FACILITIES = {
+  // Every Luas stop has level boarding, with ramps or lifts up to the platform
+  luas: {
+    '*':            { stepFree: true },
+    'Red Cow':      { parkAndRide: true },
+    'Cheeverstown': { parkAndRide: true },
+    'Carrickmines': { parkAndRide: true }
+  },
+  rail: {
+    'M3 Parkway':   { parkAndRide: true }
+  }
+};
+
+/** A station's known facilities, to spread into its properties. */
+function facilitiesOf(mode, s) {
+  const table = STATION_FACILITIES[mode] || {};
+  const out = { ...table['*'] };
+  if (s.wheelchair === '1') out.stepFree = true;
+  else if (s.wheelchair === '2') out.stepFree = false;
+  return { ...out, ...table[s.name] };
+}
+
+function pointFeature(props, coords) {
+  return { type: 'Feature', properties: props, geometry: { type: 'Point', coordinates: round(coords, 6) } };
+}
+
+function lineFeature(props, coords) {
+  return { type: 'Feature', properties: props, geometry: { type: 'LineString', coordinates: coords.map(c => round(c, 5)) } };
+}
+
+// ─── Feed extraction ───
+
+/**
+ * Track geometry per route: shapes.txt where the feed has it, else the stop
+ * sequence of each distinct trip pattern.
+ * @returns {Map<route_id, Array<{ coords, headsign }>>}
+ */
+function routeGeometries(feed) {
+  const shapes = new Map();
+  for (const p of feed.table('shapes.txt')) {
+    if (!shapes.has(p.shape_id)) shapes.set(p.shape_id, []);
+    shapes.get(p.shape_id).push([+p.shape_pt_sequence, +p.shape_pt_lon, +p.shape_pt_lat]);
+  }
+  for (const [id, pts] of shapes) shapes.set(id, pts.sort((a, b) => a[0] - b[0]).map(p => [p[1], p[2]]));
+
+  const stopCoords = new Map(feed.table('stops.txt').map(s => [s.stop_id, [+s.stop_lon, +s.stop_lat]]));
+  const tripStops = new Map();
+  if (!shapes.size) {
+    for (const st of feed.table('stop_times.txt')) {
+      if (!tripStops.has(st.trip_id)) tripStops.set(st.trip_id, []);
+      tripStops.get(st.trip_id).push([+st.stop_sequence, st.stop_id]);
+    }
+  }
+
+  const out = new Map();
+  const seen = new Set();
+  for (const t of feed.table('trips.txt')) {
+    let key, coords;
+    if (shapes.size) {
+      key = t.shape_id;
+      coords = shapes.get(t.shape_id);
+    } else {
+      const seq = (tripStops.get(t.trip_id) || []).sort((a, b) => a[0] - b[0]).map(x => x[1]);
+      key = seq.join('>');
+      coords = seq.map(id => stopCoords.get(id)).filter(Boolean);
+    }
+    if (!coords || coords.length < 2 || seen.has(t.route_id + '|' + key)) continue;
+    seen.add(t.route_id + '|' + key);
+    if (!out.has(t.route_id)) out.set(t.route_id, []);
+    out.get(t.route_id).push({ coords: geo.simplify(coords, LINE_TOLERANCE_M), headsign: t.trip_headsign || '' });
+  }
+  return out;
+}
+
+/**
+ * Longest geometry first, then any other that adds enough track the kept
+ * ones don't already cover — branches and loops survive, the reverse
+ * direction and short workings don't.
+ */
+function pickBranches(geoms) {
+  const sorted = geoms
+    .map(g => ({ ...g, length: geo.lineLength(g.coords) }))
+    .sort((a, b) => b.length - a.length || a.headsign.localeCompare(b.headsign));
+  const kept = [];
+  for (const g of sorted) {
+    const sample = g.coords.filter((c, i) => i % 3 === 0);
+    const fresh = sample.filter(c => kept.every(k => geo.distanceToLine(c, k.coords) > BRANCH_OFFSET_M));
+    if (!kept.length || fresh.length / sample.length > BRANCH_SHARE) kept.push(g);
+  }
+  return kept;
+}
+
+/**
+ * Stations served by the given routes, one per parent station (or per
+ * name, for feeds that list each platform as its own stop).
+ * @returns {Array<{ id, name, coords, routes: Set<route_id>, wheelchair }>}
+ *          wheelchair: the station's wheelchair_boarding, '' if unset
+ */
+function servedStations(feed, routeIds) {
+  const stops = new Map(feed.table('stops.txt').map(s => [s.stop_id, s]));
+  const tripRoute = new Map();
+  for (const t of feed.table('trips.txt')) if (routeIds.has(t.route_id)) tripRoute.set(t.trip_id, t.route_id);
+
+  const stations = new Map();
+  for (const st of feed.table('stop_times.txt')) {
+    const route = tripRoute.get(st.trip_id);
+    const stop = route && stops.get(st.stop_id);
+    if (!stop) continue;
+    const station = (stop.parent_station && stops.get(stop.parent_station)) || stop;
+    const key = stop.parent_station || station.stop_name.trim().toLowerCase();
+    if (!stations.has(key)) stations.set(key, { id: station.stop_id, name: station.stop_name.trim(), wheelchair: station.wheelchair_boarding || '', pts: new Map(), routes: new Set() });
+    const s = stations.get(key);
+    s.pts.set(station.stop_id, [+station.stop_lon, +station.stop_lat]);
+    s.routes.add(route);
+  }
+  return [...stations.values()]
+    .map(s => {
+      const pts = [...s.pts.values()];
+      const coords = [pts.reduce((n, p) => n + p[0], 0) / pts.length, pts.reduce((n, p) => n + p[1], 0) / pts.length];
+      return { id: s.id, name: s.name, coords, routes: s.routes, wheelchair: s.wheelchair };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// ─── Per-mode builds ───
+
+function buildLuas(feed) {
+  const routes = feed.table('routes.txt').filter(r => luasColour(r));
+  const colour = new Map(routes.map(r => [r.route_id, luasColour(r)]));
+  const geoms = routeGeometries(feed);
+
+  const lines = [];
+  for (const r of routes.sort((a, b) => luasColour(a).localeCompare(luasColour(b)))) {
+    const c = colour.get(r.route_id);
+    pickBranches(geoms.get(r.route_id) || []).forEach((g, i) => {
+      lines.push(lineFeature({
+        id: `${c.toLowerCase()}-line${i ? '-' + (i + 1) : ''}`,
+        name: `Luas ${c} Line` + (i && g.headsign ? ` (${g.headsign})` : ''),
+        mode: 'luas', line: c, ...luasRoute(c)
+      }, g.coords));
+    });
+  }
+
+  const stops = servedStations(feed, new Set(colour.keys())).map(s => {
+    const cs = new Set([...s.routes].map(id => colour.get(id)));
+    return pointFeature({ id: s.id, name: s.name, mode: 'luas', line: cs.size > 1 ? 'Both' : [...cs][0], ...facilitiesOf('luas', s) }, s.coords);
+  });
+  return { lines, stops };
+}
+
+function buildRail(feed) {
+  const routes = feed.table('routes.txt');
+  const line = new Map(routes.map(r => [r.route_id, railLine(r)]));
+  const geoms = routeGeometries(feed);
+
+  const lines = [];
+  const ids = new Set();
+  for (const r of routes.slice().sort((a, b) => routeName(a).localeCompare(routeName(b)))) {
+    pickBranches(geoms.get(r.route_id) || []).forEach((g, i) => {
+      let id = slug(routeName(r)) + (i ? '-' + (i + 1) : '');
+      while (ids.has(id)) id += '-x';
+      ids.add(id);
+      const l = line.get(r.route_id);
+      lines.push(lineFeature({ id, name: routeName(r), mode: 'rail', line: l, ...railRoute(routeName(r), l) }, g.coords));
+    });
+  }
+
+  const stations = servedStations(feed, new Set(line.keys())).map(s => {
+    const dart = [...s.routes].some(id => line.get(id) === 'DART');
+    return pointFeature({ id: s.id, name: s.name, mode: 'rail', line: dart ? 'DART' : 'Irish Rail', ...facilitiesOf('rail', s) }, s.coords);
+  });
+  return { lines, stations };
+}
+
+// ─── Main ───
+
+function readJSON(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return fallback; }
+}
+
+function collection(features) { return { type: 'FeatureCollection', features }; }
+
+function main(argv) {
+  const opts = { out: path.join(__dirname, '..', 'data') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--luas' || argv[i] === '--rail' || argv[i] === '--out') opts[argv[i].slice(2)] = argv[++i];
+    else { console.error(`unknown argument: ${argv[i]}`); process.exit(1); }
+  }
+  if (!opts.luas && !opts.rail) {
+    console.error('usage: node scripts/build-data.js [--luas <gtfs.zip|dir>] [--rail <gtfs.zip|dir>] [--out <dir>]');
+    process.exit(1);
+  }
+
+  const out = f => path.join(opts.out, f);
+  const write = (f, obj, pretty) => {
+    fs.writeFileSync(out(f), JSON.stringify(obj, null, pretty ? 2 : 0) + (pretty ? '\n' : ''));
+    console.log(`wrote ${path.relative(process.cwd(), out(f))}`);
+  };
+  fs.mkdirSync(opts.out, { recursive: true });
+
+  const meta = readJSON(out('meta.json'), { publisher: 'NTA / TFI', licence: 'CC BY 4.0', feeds: {} });
+  const headways = readJSON(out('headways.json'), null);
+  const hw = { feeds: [], stops: {} };
+
+  for (const mode of ['luas', 'rail']) {
+    if (!opts[mode]) continue;
+    const feed = gtfs.openFeed(opts[mode]);
+    if (mode === 'luas') {
+      const { lines, stops } = buildLuas(feed);
+      write('luas_lines.json', collection(lines));
+      write('luas_stops.json', collection(stops), true);
+      console.log(`  luas: ${lines.length} lines, ${stops.length} stops`);
+    } else {
+      const { lines, stations } = buildRail(feed);
+      write('rail_lines.json', collection(lines));
+      write('dart_stations.json', collection(stations));
+      console.log(`  rail: ${lines.length} lines, ${stations.length} stations`);
+    }
+    const h = computeHeadways(feed);
+    hw.feeds.push({ mode, file: path.basename(opts[mode]), date: h.date, stops: Object.keys(h.stops).sort() });
+    Object.assign(hw.stops, h.stops);
+
+    const info = feed.table('feed_info.txt')[0] || {};
+    meta.feeds[mode] = {
+      file: path.basename(opts[mode]),
+      feedDate: gtfs.feedDate(feed),
+      version: info.feed_version || null
+    };
+  }
+
+  // Keep the other modes' frequencies when only some feeds were rebuilt,
+  // dropping the stops of the feeds replaced so closed stops don't linger
+  if (headways) {
+    const replaced = f => hw.feeds.some(n => n.mode === f.mode || n.file === f.file);
+    const stops = { ...headways.stops };
+    for (const f of headways.feeds.filter(replaced)) for (const id of f.stops || []) delete stops[id];
+    hw.feeds.push(...headways.feeds.filter(f => !replaced(f)));
+    hw.stops = { ...stops, ...hw.stops };
+  }
+  const sorted = Object.fromEntries(Object.entries(hw.stops).sort(([a], [b]) => a < b ? -1 : 1));
+  write('headways.json', { feeds: hw.feeds, bands: BANDS, stops: sorted });
+  write('meta.json', meta, true);
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { buildLuas, buildRail, pickBranches, routeGeometries, servedStations, railRoute, luasRoute, facilitiesOf };
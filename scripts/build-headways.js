@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * build-headways.js — compact per-stop service frequencies for the tooltips
+ * and journey planner.
+ *
+ *   node scripts/build-headways.js [--date YYYYMMDD] GTFS_LUAS.zip GTFS_Irish_Rail.zip
+ *
+ * Writes data/headways.json:
+ *   { feeds: [{ file, date, stops: [<stop_id>, …] }],
+ *     bands: [{ name, ranges: [[fromMinute, toMinute], …] }, …],
+ *     stops: { <stop_id>: [average minutes between departures per band, or null] } }
+ *
+ * Frequencies come from one representative weekday per feed (see
+ * gtfs.representativeWeekday) and are taken per direction, keeping the
+ * better-served one, so a two-way stop doesn't look twice as frequent.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const gtfs = require('./lib/gtfs');
+
+const BANDS = [
+  { name: 'peak',    ranges: [[7 * 60, 10 * 60], [16 * 60, 19 * 60]] },
+  { name: 'offpeak', ranges: [[10 * 60, 16 * 60]] },
+  { name: 'evening', ranges: [[19 * 60, 24 * 60]] }
+];
+
+function bandOf(minute) {
+  return BANDS.findIndex(b => b.ranges.some(([a, z]) => minute >= a && minute < z));
+}
+
+/** @returns {{ date, stops: Object<string, Array<number|null>> }} */
+function computeHeadways(feed, date = gtfs.representativeWeekday(feed)) {
+  const services = gtfs.activeServices(feed, date);
+  const trips = new Map();
+  for (const t of feed.table('trips.txt'))
+    if (services.has(t.service_id)) trips.set(t.trip_id, t.direction_id || '0');
+
+  const parent = new Map();
+  for (const s of feed.table('stops.txt')) if (s.parent_station) parent.set(s.stop_id, s.parent_station);
+
+  // A trip's last stop is arrival-only — nobody can board there
+  const lastSeq = new Map();
+  const stopTimes = feed.table('stop_times.txt');
+  for (const st of stopTimes) {
+    if (!trips.has(st.trip_id)) continue;
+    const seq = +st.stop_sequence;
+    if (!(lastSeq.get(st.trip_id) >= seq)) lastSeq.set(st.trip_id, seq);
+  }
+
+  const counts = new Map(); // stop → direction → per-band departures
+  const count = (stop, dir, band) => {
+    if (!counts.has(stop)) counts.set(stop, new Map());
+    const byDir = counts.get(stop);
+    if (!byDir.has(dir)) byDir.set(dir, BANDS.map(() => 0));
+    byDir.get(dir)[band]++;
+  };
+  for (const st of stopTimes) {
+    const dir = trips.get(st.trip_id);
+    if (dir === undefined || +st.stop_sequence === lastSeq.get(st.trip_id)) continue;
+    const band = bandOf(gtfs.timeToMinutes(st.departure_time || st.arrival_time));
+    if (band < 0) continue;
+    count(st.stop_id, dir, band);
+    if (parent.has(st.stop_id)) count(parent.get(st.stop_id), dir, band);
+  }
+
+  const stops = {};
+  for (const [stop, byDir] of counts) {
+    stops[stop] = BANDS.map((b, i) => {
+      const len = b.ranges.reduce((n, [a, z]) => n + z - a, 0);
+      const best = Math.max(...[...byDir.values()].map(c => c[i]));
+      return best ? Math.max(1, Math.round(len / best)) : null;
+    });
+  }
+  return { date, stops };
+}
+
+function main(argv) {
+  let date;
+  const files = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--date') date = argv[++i];
+    else files.push(argv[i]);
+  }
+  if (!files.length) {
+    console.error('usage: node scripts/build-headways.js [--date YYYYMMDD] <gtfs.zip|dir> …');
+    process.exit(1);
+  }
+
+  const out = { feeds: [], bands: BANDS, stops: {} };
+  for (const f of files) {
+    const r = computeHeadways(gtfs.openFeed(f), date);
+    out.feeds.push({ file: path.basename(f), date: r.date, stops: Object.keys(r.stops).sort() });
+    Object.assign(out.stops, r.stops);
+    console.log(`${path.basename(f)}: ${Object.keys(r.stops).length} stops on ${r.date}`);
+  }
+  const dest = path.join(__dirname, '..', 'data', 'headways.json');
+  fs.writeFileSync(dest, JSON.stringify(out));
+  console.log(`wrote ${path.relative(process.cwd(), dest)}`);
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { BANDS, computeHeadways };
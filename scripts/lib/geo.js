@@ -0,0 +1,46 @@
+/**
+ * geo.js — small geometry helpers for the data build scripts, on [lng, lat]
+ * pairs; distances are lib/geometry.js's, as the extension measures them.
+ */
+'use strict';
+
+const { distanceMeters, distanceToSegment } = require('../../lib/geometry');
+
+/** Haversine distance in metres between [lng, lat] pairs. */
+function distance(a, b) {
+  return distanceMeters({ lng: a[0], lat: a[1] }, { lng: b[0], lat: b[1] });
+}
+
+function distanceToLine(p, coords) {
+  let best = Infinity;
+  for (let i = 1; i < coords.length; i++) best = Math.min(best, distanceToSegment(p, coords[i - 1], coords[i]));
+  return best;
+}
+
+function lineLength(coords) {
+  let n = 0;
+  for (let i = 1; i < coords.length; i++) n += distance(coords[i - 1], coords[i]);
+  return n;
+}
+
+/** Douglas–Peucker, tolerance in metres.  Iterative so long shapes can't blow the stack. */
+function simplify(coords, toleranceM) {
+  if (coords.length < 3) return coords.slice();
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    let worst = -1, worstD = toleranceM;
+    for (let i = a + 1; i < b; i++) {
+      const d = distanceToSegment(coords[i], coords[a], coords[b]);
+      if (d > worstD) { worstD = d; worst = i; }
+    }
+    if (worst < 0) continue;
+    keep[worst] = 1;
+    stack.push([a, worst], [worst, b]);
+  }
+  return coords.filter((c, i) => keep[i]);
+}
+
+module.exports = { distance, distanceToLine, lineLength, simplify };
@@ -0,0 +1,165 @@
+/**
+ * gtfs.js — minimal GTFS feed reader for the data build scripts.
+ *
+ * Reads a feed straight from the .zip TFI publishes (or an unzipped
+ * gtfs_* folder) with no dependencies beyond Node's zlib.  Tables come back
+ * as arrays of plain objects keyed by the CSV header.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// ─── Zip ───
+
+/** @returns {Map<string, Buffer>} entry name → uncompressed bytes */
+function readZip(file) {
+  const buf = fs.readFileSync(file);
+  // End-of-central-directory record: scan back over the trailing comment
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error(`${file}: not a zip file`);
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (p === 0xffffffff) throw new Error(`${file}: zip64 archives are not supported`);
+
+  const out = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error(`${file}: corrupt central directory`);
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/')) continue;
+
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + size);
+    if (method === 0) out.set(name, raw);
+    else if (method === 8) out.set(name, zlib.inflateRawSync(raw));
+    else throw new Error(`${file}: ${name} uses unsupported compression method ${method}`);
+  }
+  return out;
+}
+
+// ─── CSV ───
+
+/** RFC 4180 CSV → array of objects.  Tolerates a BOM and CRLF line endings. */
+function parseCSV(text) {
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const header = (rows.shift() || []).map(h => h.trim());
+  return rows.map(r => {
+    const o = {};
+    header.forEach((h, i) => { o[h] = r[i] === undefined ? '' : r[i]; });
+    return o;
+  });
+}
+
+// ─── Feed ───
+
+/**
+ * Open a GTFS feed from a .zip or a directory.
+ * @returns {{ source: string, has(name): boolean, table(name): object[] }}
+ */
+function openFeed(src) {
+  let files;
+  if (fs.statSync(src).isDirectory()) {
+    files = new Map(fs.readdirSync(src).map(f => [f, null]));
+  } else {
+    files = new Map();
+    // Some feeds nest everything one folder down inside the zip
+    for (const [name, bytes] of readZip(src)) files.set(path.basename(name), bytes);
+  }
+  const cache = new Map();
+  return {
+    source: src,
+    has: name => files.has(name),
+    table(name) {
+      if (!cache.has(name)) {
+        if (!files.has(name)) { cache.set(name, []); return []; }
+        const bytes = files.get(name) || fs.readFileSync(path.join(src, name));
+        cache.set(name, parseCSV(bytes.toString('utf8')));
+      }
+      return cache.get(name);
+    }
+  };
+}
+
+/** "25:10:00" → 1510.  GTFS times run past 24:00 for after-midnight trips. */
+function timeToMinutes(t) {
+  const m = /^\s*(\d+):(\d\d)(?::(\d\d))?/.exec(t || '');
+  return m ? +m[1] * 60 + +m[2] : null;
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function parseDate(s) { return new Date(Date.UTC(+s.slice(0, 4), +s.slice(4, 6) - 1, +s.slice(6, 8))); }
+function formatDate(d) { return d.toISOString().slice(0, 10).replace(/-/g, ''); }
+
+/** service_ids running on `date` (YYYYMMDD), from calendar + calendar_dates. */
+function activeServices(feed, date) {
+  const day = WEEKDAYS[parseDate(date).getUTCDay()];
+  const on = new Set();
+  for (const c of feed.table('calendar.txt'))
+    if (c[day] === '1' && c.start_date <= date && date <= c.end_date) on.add(c.service_id);
+  for (const x of feed.table('calendar_dates.txt')) {
+    if (x.date !== date) continue;
+    if (x.exception_type === '1') on.add(x.service_id);
+    if (x.exception_type === '2') on.delete(x.service_id);
+  }
+  return on;
+}
+
+/**
+ * A representative weekday for the feed: the Tuesday–Thursday within its
+ * first eight weeks with the most services running.  Dodges bank holidays
+ * without depending on the date the build happens to run.
+ */
+function representativeWeekday(feed) {
+  const starts = feed.table('calendar.txt').map(c => c.start_date)
+    .concat(feed.table('calendar_dates.txt').map(c => c.date)).filter(Boolean).sort();
+  if (!starts.length) throw new Error(`${feed.source}: no calendar.txt or calendar_dates.txt`);
+  const d = parseDate(starts[0]);
+  let best = null, bestN = -1;
+  for (let i = 0; i < 56; i++, d.setUTCDate(d.getUTCDate() + 1)) {
+    if (d.getUTCDay() < 2 || d.getUTCDay() > 4) continue;
+    const n = activeServices(feed, formatDate(d)).size;
+    if (n > bestN) { bestN = n; best = formatDate(d); }
+  }
+  return best;
+}
+
+/** Feed publication date (YYYYMMDD) from feed_info.txt, else its earliest calendar date. */
+function feedDate(feed) {
+  const info = feed.table('feed_info.txt')[0];
+  if (info && info.feed_start_date) return info.feed_start_date;
+  return feed.table('calendar.txt').map(c => c.start_date)
+    .concat(feed.table('calendar_dates.txt').map(c => c.date)).filter(Boolean).sort()[0] || null;
+}
+
+module.exports = { readZip, parseCSV, openFeed, timeToMinutes, activeServices, representativeWeekday, feedDate };
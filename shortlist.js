@@ -0,0 +1,128 @@
+/* Commute Check — Shortlist Page */
+
+const { SHORTLIST_KEY, SETTINGS_KEY } = DaftSettings;
+const KINDS = { luas: 'Luas', dart: 'DART', rail: 'Irish Rail' };
+
+let items = [];
+let areas = [];   // drawn on the map, from the overlay's settings
+
+document.addEventListener('DOMContentLoaded', () => {
+  chrome.storage.local.get([SHORTLIST_KEY, SETTINGS_KEY], r => {
+    items = r[SHORTLIST_KEY] || [];
+    areas = (r[SETTINGS_KEY] && r[SETTINGS_KEY].areas) || [];
+    render();
+  });
+  // Starred, un-starred or an area drawn on Daft.ie while this page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[SHORTLIST_KEY]) items = changes[SHORTLIST_KEY].newValue || [];
+    if (changes[SETTINGS_KEY]) areas = (changes[SETTINGS_KEY].newValue || {}).areas || [];
+    if (changes[SHORTLIST_KEY] || changes[SETTINGS_KEY]) render();
+  });
+
+  document.getElementById('sl-sort').addEventListener('change', render);
+  document.getElementById('sl-export-csv').addEventListener('click', () =>
+    download('commute-check-shortlist.csv', 'text/csv', toCSV(sorted())));
+  document.getElementById('sl-export-json').addEventListener('click', () =>
+    download('commute-check-shortlist.json', 'application/json',
+      JSON.stringify(sorted().map(x => ({ ...x, areas: areasOf(x) })), null, 2)));
+});
+
+/** Names of the drawn areas a property falls in. */
+function areasOf(item) {
+  return areas.filter(a => DaftGeometry.pointInPolygon([item.lng, item.lat], a.coords)).map(a => a.name);
+}
+
+/** Newest first; by score highest first; by a stop kind nearest first, missing last. */
+function sorted() {
+  const by = document.getElementById('sl-sort').value;
+  const walk = x => x.nearest[by] ? x.nearest[by].meters : Infinity;
+  const cmp = by === 'savedAt' ? (a, b) => b.savedAt.localeCompare(a.savedAt)
+            : by === 'score'   ? (a, b) => b.score - a.score
+            : (a, b) => walk(a) - walk(b);
+  return [...items].sort(cmp);
+}
+
+function render() {
+  const rows = document.getElementById('sl-rows');
+  rows.innerHTML = '';
+  for (const item of sorted()) {
+    const tr = document.createElement('tr');
+    const cell = (text, cls) => {
+      const td = document.createElement('td');
+      if (cls) td.className = cls;
+      td.textContent = text;
+      tr.appendChild(td);
+      return td;
+    };
+
+    const title = cell('');
+    const a = document.createElement('a');
+    a.href = item.url;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = item.title || item.url;
+    title.appendChild(a);
+
+    cell(`${item.score} · ${item.band}`, 'sl-score');
+    for (const kind of Object.keys(KINDS)) {
+      const near = item.nearest[kind];
+      const td = cell(near ? `${near.minutes} min` : '—', 'sl-walk');
+      if (near) {
+        const sub = document.createElement('div');
+        sub.className = 'sl-sub';
+        sub.textContent = near.name;
+        td.appendChild(sub);
+      }
+    }
+    cell(areasOf(item).join(', ') || '—', 'sl-sub');
+    cell(new Date(item.savedAt).toLocaleDateString('en-IE', { day: 'numeric', month: 'short' }), 'sl-sub');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'sl-remove';
+    remove.setAttribute('aria-label', 'Remove from shortlist');
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      chrome.storage.local.set({ [SHORTLIST_KEY]: items.filter(x => x.id !== item.id) });
+    });
+    cell('').appendChild(remove);
+    rows.appendChild(tr);
+  }
+
+  document.getElementById('sl-count').textContent = items.length === 1 ? '1 property' : `${items.length} properties`;
+  document.getElementById('sl-table').hidden = items.length === 0;
+  document.getElementById('sl-empty').hidden = items.length > 0;
+  for (const id of ['sl-export-csv', 'sl-export-json']) document.getElementById(id).disabled = items.length === 0;
+}
+
+function toCSV(list) {
+  const head = ['id', 'title', 'url', 'lat', 'lng', 'transit_score', 'transit_band'];
+  for (const kind of Object.keys(KINDS)) head.push(`${kind}_stop`, `${kind}_walk_min`, `${kind}_walk_m`);
+  head.push('areas', 'saved_at');
+  const quote = v => {
+    let s = v == null ? '' : String(v);
+    // Text a spreadsheet would run as a formula; numbers (say a negative lng) stay numbers
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = list.map(x => {
+    const row = [x.id, x.title, x.url, x.lat, x.lng, x.score, x.band];
+    for (const kind of Object.keys(KINDS)) {
+      const near = x.nearest[kind];
+      row.push(near && near.name, near && near.minutes, near && near.meters);
+    }
+    row.push(areasOf(x).join('; '), x.savedAt);
+    return row.map(quote).join(',');
+  });
+  return [head.join(','), ...lines].join('\n') + '\n';
+}
+
+function download(name, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { facilitiesOf, servedStations, railRoute, luasRoute } = require('../scripts/build-data');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'build-data.js');
+const LUAS = path.join(__dirname, 'fixtures', 'gtfs-luas.zip');
+const RAIL = path.join(__dirname, 'fixtures', 'gtfs-rail');
+const OUTPUTS = ['luas_lines.json', 'luas_stops.json', 'rail_lines.json', 'dart_stations.json', 'headways.json', 'meta.json'];
+
+/** Runs the build into `dir` and returns what it wrote, parsed. */
+function build(dir, ...args) {
+  execFileSync(process.execPath, [SCRIPT, ...args, '--out', dir], { stdio: 'pipe' });
+  const read = f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+  return Object.fromEntries(OUTPUTS.filter(f => fs.existsSync(path.join(dir, f))).map(f => [f, read(f)]));
+}
+
+function tmpdir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-data-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const propsOf = fc => Object.fromEntries(fc.features.map(f => [f.properties.id, f.properties]));
+
+test('a build writes every file the extension loads', t => {
+  const out = build(tmpdir(t), '--luas', LUAS, '--rail', RAIL);
+  assert.deepEqual(Object.keys(out).sort(), [...OUTPUTS].sort());
+  for (const f of OUTPUTS.filter(f => f.endsWith('_lines.json') || f.endsWith('_stops.json') || f.endsWith('_stations.json')))
+    assert.equal(out[f].type, 'FeatureCollection', f);
+});
+
+test('Luas stops know their line and are step-free', t => {
+  const out = build(tmpdir(t), '--luas', LUAS);
+  const stops = propsOf(out['luas_stops.json']);
+  assert.deepEqual(Object.keys(stops).sort(), ['G1', 'G2', 'G3', 'R2']);   // Abbey Street once, not per line
+  assert.equal(stops.G3.line, 'Both');
+  assert.equal(stops.R2.line, 'Red');
+  assert.ok(Object.values(stops).every(s => s.mode === 'luas' && s.stepFree === true));
+  const lines = out['luas_lines.json'].features.map(f => f.properties);
+  assert.deepEqual(lines.map(l => [l.line, l.route]), [['Green', 'luas-green'], ['Red', 'luas-red']]);
+});
+
+test('rail stations are merged by parent and keep what the feed says of access', t => {
+  const out = build(tmpdir(t), '--rail', RAIL);
+  const stations = propsOf(out['dart_stations.json']);
+  assert.deepEqual(Object.keys(stations).sort(), ['CNLLY', 'HWTH', 'MYNTH', 'TARA']);
+  assert.deepEqual([stations.CNLLY.line, stations.CNLLY.stepFree], ['DART', true]);
+  assert.equal(stations.HWTH.stepFree, false);
+  assert.deepEqual([stations.MYNTH.line, stations.MYNTH.stepFree], ['Irish Rail', false]);
+  assert.ok(!('stepFree' in stations.TARA));   // unknown stays unknown
+  const lines = out['rail_lines.json'].features.map(f => f.properties);
+  assert.deepEqual(lines.map(l => [l.line, l.route]), [['DART', 'dart'], ['Commuter', 'maynooth']]);
+});
+
+test('headways and meta record each feed behind the data', t => {
+  const out = build(tmpdir(t), '--luas', LUAS, '--rail', RAIL);
+  const hw = out['headways.json'];
+  assert.deepEqual(hw.feeds.map(({ stops, ...f }) => f), [
+    { mode: 'luas', file: 'gtfs-luas.zip', date: '20260107' },
+    { mode: 'rail', file: 'gtfs-rail', date: '20260113' }
+  ]);
+  assert.ok(hw.feeds[0].stops.includes('G1') && !hw.feeds[0].stops.includes('CNLLY'));
+  assert.deepEqual(hw.stops.G1, [180, 360, null]);
+  assert.deepEqual(hw.stops.CNLLY, [360, null, null]);
+  assert.deepEqual(out['meta.json'], {
+    publisher: 'NTA / TFI',
+    licence: 'CC BY 4.0',
+    feeds: {
+      luas: { file: 'gtfs-luas.zip', feedDate: '20260105', version: '2026-01-fixture' },
+      rail: { file: 'gtfs-rail', feedDate: '20260112', version: null }
+    }
+  });
+});
+
+test('rebuilding is byte-for-byte the same', t => {
+  const dir = tmpdir(t);
+  build(dir, '--luas', LUAS, '--rail', RAIL);
+  const first = OUTPUTS.map(f => fs.readFileSync(path.join(dir, f), 'utf8'));
+  build(dir, '--luas', LUAS, '--rail', RAIL);
+  assert.deepEqual(OUTPUTS.map(f => fs.readFileSync(path.join(dir, f), 'utf8')), first);
+});
+
+test('rebuilding one mode keeps the others\' frequencies and dates', t => {
+  const dir = tmpdir(t);
+  build(dir, '--luas', LUAS, '--rail', RAIL);
+  const out = build(dir, '--luas', LUAS);
+  assert.deepEqual(out['headways.json'].feeds.map(f => f.file), ['gtfs-luas.zip', 'gtfs-rail']);
+  assert.deepEqual(out['headways.json'].stops.CNLLY, [360, null, null]);
+  assert.equal(out['meta.json'].feeds.rail.feedDate, '20260112');
+});
+
+test('rebuilding a feed drops the frequencies of stops it no longer has', t => {
+  const dir = tmpdir(t);
+  build(dir, '--luas', LUAS, '--rail', RAIL);
+  // as if the last rail feed had served a station this one doesn't
+  const file = path.join(dir, 'headways.json');
+  const hw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  hw.feeds[1].stops.push('CLOSED');
+  hw.stops.CLOSED = [600, null, null];
+  fs.writeFileSync(file, JSON.stringify(hw));
+  const out = build(dir, '--rail', RAIL);
+  assert.ok(!('CLOSED' in out['headways.json'].stops));
+  assert.deepEqual(out['headways.json'].stops.G1, [180, 360, null]);
+});
+
+test('facilitiesOf() takes wheelchair_boarding, then the hand-kept table', () => {
+  assert.equal(facilitiesOf('rail', { name: 'X', wheelchair: '1' }).stepFree, true);
+  assert.equal(facilitiesOf('rail', { name: 'X', wheelchair: '2' }).stepFree, false);
+  assert.ok(!('stepFree' in facilitiesOf('rail', { name: 'X', wheelchair: '' })));
+  assert.equal(facilitiesOf('rail', { name: 'M3 Parkway', wheelchair: '' }).parkAndRide, true);
+  assert.equal(facilitiesOf('luas', { name: 'X', wheelchair: '' }).stepFree, true);
+});
+
+test('facilitiesOf() lets the feed override the blanket Luas default and keeps unknowns out', () => {
+  assert.deepEqual(facilitiesOf('luas', { name: 'X', wheelchair: '2' }), { stepFree: false });
+  assert.deepEqual(facilitiesOf('rail', { name: 'X', wheelchair: '0' }), {});   // 0: no information
+  assert.deepEqual(facilitiesOf('luas', { name: 'Red Cow', wheelchair: '' }), { stepFree: true, parkAndRide: true });
+  assert.deepEqual(facilitiesOf('rail', { name: 'M3 Parkway', wheelchair: '1' }), { stepFree: true, parkAndRide: true });
+  assert.deepEqual(facilitiesOf('ferry', { name: 'X', wheelchair: '' }), {});
+});
+
+test('a station takes its parent\'s wheelchair_boarding, not its platforms\'', () => {
+  const feed = {
+    table: name => ({
+      'stops.txt': [
+        { stop_id: 'P', stop_name: 'Parent', stop_lat: '53.35', stop_lon: '-6.25', location_type: '1', parent_station: '', wheelchair_boarding: '2' },
+        { stop_id: 'P1', stop_name: 'Parent', stop_lat: '53.35', stop_lon: '-6.25', location_type: '0', parent_station: 'P', wheelchair_boarding: '1' }
+      ],
+      'trips.txt': [{ trip_id: 't', route_id: 'r' }],
+      'stop_times.txt': [{ trip_id: 't', stop_id: 'P1', stop_sequence: '1' }]
+    })[name]
+  };
+  const [station] = servedStations(feed, new Set(['r']));
+  assert.equal(station.id, 'P');
+  assert.equal(station.wheelchair, '2');
+  assert.equal(facilitiesOf('rail', station).stepFree, false);
+});
+
+test('routes get stable ids the settings can refer to', () => {
+  assert.deepEqual(railRoute('Howth - Greystones', 'DART'), { route: 'dart', routeName: 'DART' });
+  assert.deepEqual(railRoute('Maynooth - Dublin Connolly', 'Commuter'), { route: 'maynooth', routeName: 'Maynooth line' });
+  assert.deepEqual(railRoute('Limerick - Ennis', 'rail'), { route: 'limerick-ennis', routeName: 'Limerick – Ennis' });
+  assert.deepEqual(luasRoute('Green'), { route: 'luas-green', routeName: 'Luas Green' });
+});
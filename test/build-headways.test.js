@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const gtfs = require('../scripts/lib/gtfs');
+const { BANDS, computeHeadways } = require('../scripts/build-headways');
+
+const luas = () => gtfs.openFeed(path.join(__dirname, 'fixtures', 'gtfs-luas.zip'));
+const rail = () => gtfs.openFeed(path.join(__dirname, 'fixtures', 'gtfs-rail'));
+
+// Minutes in each band: peak 07–10 and 16–19, off-peak 10–16, evening 19–24
+const [PEAK, OFFPEAK, EVENING] = BANDS.map(b => b.ranges.reduce((n, [a, z]) => n + z - a, 0));
+
+test('the bands cover the day from 7am without overlapping', () => {
+  assert.deepEqual([PEAK, OFFPEAK, EVENING], [360, 360, 300]);
+});
+
+test('headways are minutes between departures per band, on the representative weekday', () => {
+  const { date, stops } = computeHeadways(luas());
+  assert.equal(date, '20260107');
+  assert.deepEqual(stops, {
+    G1: [PEAK / 2, OFFPEAK / 1, null],   // 07:00, 07:30 and 12:00 towards Broombridge
+    G2: [PEAK / 2, OFFPEAK / 1, null],   // the same: the better-served direction counts
+    G3: [PEAK / 1, null, null],          // only departs towards Brides Glen
+    R1: [PEAK / 1, null, EVENING / 1]
+  });
+});
+
+test('a trip\'s last stop isn\'t a departure, and other days\' trips don\'t count', () => {
+  const { stops } = computeHeadways(luas(), '20260110');   // a Saturday
+  assert.deepEqual(stops, { G1: [PEAK, null, null], G2: [PEAK, null, null] });
+  assert.deepEqual(computeHeadways(luas(), '20260106').stops, {});   // service removed
+});
+
+test('platform departures count for their station too', () => {
+  const { date, stops } = computeHeadways(rail());
+  assert.equal(date, '20260113');
+  assert.deepEqual(stops.CNLLY1, [PEAK, null, null]);
+  assert.deepEqual(stops.CNLLY, [PEAK, null, null]);
+  assert.equal(stops.CNLLY2, undefined);   // where the Maynooth train terminates
+  assert.equal(stops.TARA, undefined);
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+// The content scripts end to end in jsdom, on a search page whose URL holds
+// the map's bounds — the SVG overlay's path when no map instance is found.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadExtension, ROOT } = require('./helpers/extension');
+const { matchSnapshot, prettySVG } = require('./helpers/snapshot');
+
+const MAP = '<div class="maplibregl-map"><div class="maplibregl-canvas-container"></div></div>';
+
+const VIEWPORTS = {
+  'city-centre':   { top: 53.345, bottom: 53.335, left: -6.27, right: -6.25 },
+  'dun-laoghaire': { top: 53.30, bottom: 53.28, left: -6.15, right: -6.12 },
+  'docklands':     { top: 53.352, bottom: 53.344, left: -6.245, right: -6.225 }
+};
+
+function searchPage(viewport, settings, files) {
+  const q = new URLSearchParams(VIEWPORTS[viewport]);
+  return loadExtension({ url: `https://www.daft.ie/property-for-rent/dublin?${q}`, html: MAP, settings, files });
+}
+
+const overlay = page => page.document.getElementById('daft-transit-svg-overlay');
+
+for (const [viewport, settings] of [
+  ['city-centre', {}],
+  ['dun-laoghaire', { stopLabels: true }],
+  ['docklands', { highlightRoute: 'luas-red' }]
+]) {
+  test(`the overlay over ${viewport} matches its snapshot`, async t => {
+    const page = searchPage(viewport, settings);
+    t.after(page.close);
+    await page.settle();
+    matchSnapshot(`${viewport}.svg`, prettySVG(overlay(page).innerHTML));
+  });
+}
+
+test('stops in view are buttons in the tab order, and the live region counts them', async t => {
+  const page = searchPage('dun-laoghaire');
+  t.after(page.close);
+  await page.settle();
+  const buttons = [...overlay(page).querySelectorAll('#dt-stop-access .dt-stop-focus')];
+  assert.ok(buttons.length > 0);
+  for (const b of buttons) {
+    assert.equal(b.getAttribute('tabindex'), '0');
+    assert.match(b.getAttribute('aria-label'), /^(DART|Rail|Luas): /);
+  }
+  for (const dot of overlay(page).querySelectorAll('.transit-stop')) assert.equal(dot.getAttribute('aria-hidden'), 'true');
+  assert.equal(page.document.getElementById('dt-live').textContent, '2 DART stations and 1 Irish Rail station in view');
+});
+
+test('Enter or Space on a focused stop opens its panel; other keys don\'t', async t => {
+  const page = searchPage('dun-laoghaire');
+  t.after(page.close);
+  const button = await page.until(() => overlay(page)?.querySelector('#dt-stop-access .dt-stop-focus'));
+  const press = key => button.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  button.focus();
+  assert.match(page.document.querySelector('.daft-transit-tooltip')?.textContent || '', new RegExp(button.dataset.name));
+
+  assert.equal(press('a'), true);
+  await page.settle(100);
+  assert.equal(page.document.getElementById('dt-stop-panel'), null);
+  assert.equal(press('Enter'), false);   // handled, so the page doesn't act on it too
+  const panel = await page.until(() => page.document.getElementById('dt-stop-panel'));
+  assert.match(panel.textContent, new RegExp(button.dataset.name));
+
+  panel.remove();
+  const next = overlay(page).querySelectorAll('#dt-stop-access .dt-stop-focus')[1];
+  next.focus();
+  next.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true }));
+  assert.match((await page.until(() => page.document.getElementById('dt-stop-panel'))).textContent, new RegExp(next.dataset.name));
+});
+
+test('the focused stop keeps focus when the overlay redraws', async t => {
+  const page = searchPage('dun-laoghaire');
+  t.after(page.close);
+  const button = await page.until(() => overlay(page)?.querySelector('#dt-stop-access .dt-stop-focus'));
+  button.focus();
+  await page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, opacity: 50 } });
+  await page.until(() => !button.isConnected);
+  const focused = page.document.activeElement;
+  assert.ok(focused.classList.contains('dt-stop-focus'));
+  assert.equal(focused.dataset.id, button.dataset.id);
+});
+
+test('the live region is a polite status that follows what is in view', async t => {
+  const page = searchPage('dun-laoghaire');
+  t.after(page.close);
+  const live = await page.until(() => page.document.getElementById('dt-live'));
+  assert.equal(live.getAttribute('role'), 'status');
+  assert.equal(live.getAttribute('aria-live'), 'polite');
+  await page.until(() => live.textContent === '2 DART stations and 1 Irish Rail station in view');
+  await page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, dartStations: false } });
+  await page.until(() => live.textContent === '1 Irish Rail station in view');
+  assert.equal(page.document.querySelectorAll('#dt-live').length, 1);
+});
+
+test('step-free only hides the stations known not to be, and flags the unknown', async t => {
+  // Dun Laoghaire, Glenageary and Sandycove are in view; the shipped data
+  // doesn't know any of their access, so give two of them some
+  const stations = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'dart_stations.json'), 'utf8'));
+  const access = { 'Dun Laoghaire': true, Glenageary: false };
+  for (const f of stations.features) if (f.properties.name in access) f.properties.stepFree = access[f.properties.name];
+  const page = searchPage('dun-laoghaire', { stepFreeOnly: true }, { 'data/dart_stations.json': stations });
+  t.after(page.close);
+  await page.settle();
+
+  const labels = [...overlay(page).querySelectorAll('#dt-stop-access .dt-stop-focus')].map(b => b.getAttribute('aria-label')).sort();
+  assert.deepEqual(labels, ['DART: Dun Laoghaire. Step-free', 'Rail: Sandycove and Glasthule. Step-free access unknown']);
+  const dot = overlay(page).querySelector('.transit-stop[data-name="Sandycove and Glasthule"]');
+  assert.equal(dot.getAttribute('data-facilities'), 'Step-free access unknown');
+  assert.equal(overlay(page).querySelector('.transit-stop[data-name="Glenageary"]'), null);
+  assert.equal(page.document.getElementById('dt-live').textContent, '1 DART station and 1 Irish Rail station in view');
+});
+
+test('a stored settings change redraws the overlay', async t => {
+  const page = searchPage('city-centre');
+  t.after(page.close);
+  await page.until(() => overlay(page)?.querySelector('.transit-stop[data-mode="luas"]'));
+
+  await page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, luasStops: false } });
+  await page.until(() => !overlay(page).querySelector('.transit-stop[data-mode="luas"]'));
+  assert.equal(page.document.getElementById('dt-live').textContent, 'No transit stops in view');
+});
+
+test('turning the overlay off takes it down', async t => {
+  const page = searchPage('city-centre');
+  t.after(page.close);
+  await page.settle();
+  await page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, enabled: false } });
+  await page.until(() => overlay(page).innerHTML === '');
+  assert.equal(page.document.getElementById('dt-draw-btn'), null);
+  assert.equal(page.document.getElementById('dt-live'), null);
+});
+
+test('a keyboard shortcut\'s notice shows on the page', async t => {
+  const page = searchPage('city-centre');
+  t.after(page.close);
+  await page.settle();
+  page.sendRuntimeMessage({ type: 'DAFT_TRANSIT_NOTICE', text: 'Transit overlay off' });
+  const notice = page.document.getElementById('dt-notice');
+  assert.equal(notice.textContent, 'Transit overlay off');
+  assert.ok(notice.classList.contains('dt-notice-shown'));
+});
+
+test('commute waits are marked typical until timetables are bundled', async t => {
+  // A flat beside Dun Laoghaire station, commuting to Tara Street
+  const next = { props: { pageProps: { listing: { id: 5551234, title: 'Flat', point: { coordinates: [-6.1346, 53.2945] } } } } };
+  const html = `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(next)}</script>`;
+  const open = files => loadExtension({
+    url: 'https://www.daft.ie/for-rent/flat-dun-laoghaire/5551234', html, files,
+    settings: { destinations: [{ name: 'Office', lat: 53.3473, lng: -6.2544 }] }
+  });
+  const panelText = async page => (await page.until(() => page.document.querySelector('#dt-listing-panel .dt-lp-dest') && page.document.getElementById('dt-listing-panel'))).textContent;
+
+  const shipped = open({});
+  t.after(shipped.close);
+  const typical = await panelText(shipped);
+  assert.match(typical, /: Dun Laoghaire → Tara Street, \d+ min \(\+\d+ min typical wait\)/);
+  assert.match(typical, /No timetables are bundled yet/);
+
+  const bands = [{ name: 'peak', ranges: [] }, { name: 'offpeak', ranges: [] }, { name: 'evening', ranges: [] }];
+  const timetabled = open({ 'data/headways.json': { feeds: [], bands, stops: { '8250IR0124': [6, 15, null] } } });
+  t.after(timetabled.close);
+  const known = await panelText(timetabled);
+  assert.match(known, /: Dun Laoghaire → Tara Street, \d+ min \(\+3 min wait\)/);   // half the 6 min headway
+  assert.match(known, /from bundled line geometry and frequencies/);
+});
+
+test('result badges follow the step-free switch', async t => {
+  // A flat by Glenageary, which this copy of the data marks not step-free
+  const stations = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'dart_stations.json'), 'utf8'));
+  for (const f of stations.features) if (f.properties.name === 'Glenageary') f.properties.stepFree = false;
+  const next = { props: { pageProps: { listings: [{ listing: { id: 5550001, title: 'Flat', seoFriendlyPath: '/for-rent/flat/5550001', point: { coordinates: [-6.1235, 53.2815] } } }] } } };
+  const html = MAP + `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(next)}</script>` +
+    '<ul data-testid="results"><li><a href="/for-rent/flat/5550001">Flat</a></li></ul>';
+  const q = new URLSearchParams(VIEWPORTS['dun-laoghaire']);
+  const page = loadExtension({ url: `https://www.daft.ie/property-for-rent/dublin?${q}`, html, files: { 'data/dart_stations.json': stations } });
+  t.after(page.close);
+  const badge = () => page.document.querySelector('.dt-listing-badge')?.textContent || '';
+
+  await page.until(() => badge().includes('Glenageary'));
+  await page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, stepFreeOnly: true } });
+  await page.until(() => badge().includes('Sandycove and Glasthule'));
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const gtfs = require('../scripts/lib/gtfs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const LUAS_ZIP = path.join(FIXTURES, 'gtfs-luas.zip');
+const LUAS_DIR = path.join(FIXTURES, 'gtfs-luas');
+const RAIL_DIR = path.join(FIXTURES, 'gtfs-rail');
+
+test('readZip() inflates every file, folders left out', () => {
+  const files = gtfs.readZip(LUAS_ZIP);
+  assert.deepEqual([...files.keys()].sort(), fs.readdirSync(LUAS_DIR).sort().map(f => `google_transit_luas/${f}`));
+  assert.equal(files.get('google_transit_luas/routes.txt').toString('utf8'), fs.readFileSync(path.join(LUAS_DIR, 'routes.txt'), 'utf8'));
+});
+
+test('readZip() reads stored entries and refuses what isn\'t a zip', t => {
+  // One stored (uncompressed) entry, written by hand
+  const name = Buffer.from('a.txt'), data = Buffer.from('hello');
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(name.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt16LE(name.length, 28);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(local.length + name.length + data.length, 16);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const zip = path.join(dir, 'stored.zip');
+  fs.writeFileSync(zip, Buffer.concat([local, name, data, central, name, eocd]));
+  assert.equal(gtfs.readZip(zip).get('a.txt').toString(), 'hello');
+
+  const notZip = path.join(dir, 'feed.zip');
+  fs.writeFileSync(notZip, zlib.gzipSync('stop_id\n1\n'));
+  assert.throws(() => gtfs.readZip(notZip), /not a zip file/);
+});
+
+test('parseCSV() handles quotes, a BOM, CRLF and short rows', () => {
+  const text = '\uFEFFstop_id, stop_name ,extra\r\n1,"Smith\'s ""Corner"", Main St"\r\n\r\n2,Plain,x\n3';
+  assert.deepEqual(gtfs.parseCSV(text), [
+    { stop_id: '1', stop_name: 'Smith\'s "Corner", Main St', extra: '' },
+    { stop_id: '2', stop_name: 'Plain', extra: 'x' },
+    { stop_id: '3', stop_name: '', extra: '' }
+  ]);
+  assert.deepEqual(gtfs.parseCSV(''), []);
+});
+
+test('a feed reads the same from its zip as from a folder', () => {
+  const zip = gtfs.openFeed(LUAS_ZIP), dir = gtfs.openFeed(LUAS_DIR);
+  for (const table of ['stops.txt', 'trips.txt', 'stop_times.txt']) assert.deepEqual(zip.table(table), dir.table(table));
+  assert.equal(zip.table('stops.txt')[1].stop_name, 'Dawson');
+  assert.ok(zip.has('calendar.txt'));
+  assert.ok(!zip.has('shapes.txt'));
+  assert.deepEqual(zip.table('shapes.txt'), []);
+});
+
+test('timeToMinutes() runs past midnight and rejects junk', () => {
+  assert.equal(gtfs.timeToMinutes('07:05:00'), 425);
+  assert.equal(gtfs.timeToMinutes(' 7:05'), 425);
+  assert.equal(gtfs.timeToMinutes('25:10:00'), 1510);
+  assert.equal(gtfs.timeToMinutes(''), null);
+  assert.equal(gtfs.timeToMinutes(undefined), null);
+});
+
+test('activeServices() applies the calendar and its exceptions', () => {
+  const feed = gtfs.openFeed(LUAS_DIR);
+  assert.deepEqual([...gtfs.activeServices(feed, '20260107')], ['WK']);    // Wednesday
+  assert.deepEqual([...gtfs.activeServices(feed, '20260106')], []);        // Tuesday, removed
+  assert.deepEqual([...gtfs.activeServices(feed, '20260110')], ['SAT']);   // Saturday
+  assert.deepEqual([...gtfs.activeServices(feed, '20260401')], []);        // after the calendar
+});
+
+test('representativeWeekday() picks the first busiest Tuesday–Thursday', () => {
+  // Tuesday 6 January has its weekday service removed
+  assert.equal(gtfs.representativeWeekday(gtfs.openFeed(LUAS_DIR)), '20260107');
+  assert.equal(gtfs.representativeWeekday(gtfs.openFeed(RAIL_DIR)), '20260113');
+});
+
+test('feedDate() comes from feed_info.txt, else the calendar', () => {
+  assert.equal(gtfs.feedDate(gtfs.openFeed(LUAS_DIR)), '20260105');
+  assert.equal(gtfs.feedDate(gtfs.openFeed(RAIL_DIR)), '20260112');
+});
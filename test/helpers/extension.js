@@ -0,0 +1,164 @@
+/**
+ * The extension's content scripts in a jsdom page, with as much of the
+ * chrome.* API as they use: storage.local (and onChanged), runtime.getURL
+ * and onMessage.  fetch() of an extension URL reads the file from the repo,
+ * or from opts.files in its place.
+ *
+ *   const page = loadExtension({ html, url, settings });
+ *   await page.settle();
+ *   page.document.getElementById('daft-transit-svg-overlay')
+ *   await page.until(() => page.document.getElementById('dt-stop-panel'));
+ *
+ * The page has no layout, so every element reports mapSize as its box —
+ * enough for the overlay to find a map and size itself.
+ *
+ * loadPage('popup.html', { settings }) does the same for the extension's own
+ * pages, running the scripts the page lists.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const EXT  = 'chrome-extension://commute-check/';
+const manifest = require(path.join(ROOT, 'manifest.json'));
+
+const clone = v => v === undefined ? v : JSON.parse(JSON.stringify(v));
+
+/** chrome.storage.local over a plain object, callback or promise style. */
+function fakeStorage(store) {
+  const listeners = [];
+  const local = {
+    get(keys, cb) {
+      const names = keys == null ? Object.keys(store) : Array.isArray(keys) ? keys : typeof keys === 'string' ? [keys] : Object.keys(keys);
+      const out = {};
+      for (const k of names) if (k in store) out[k] = clone(store[k]);
+      if (cb) setTimeout(() => cb(out));
+      return Promise.resolve(out);
+    },
+    set(items, cb) {
+      const changes = {};
+      for (const [k, v] of Object.entries(items)) {
+        changes[k] = { oldValue: clone(store[k]), newValue: clone(v) };
+        store[k] = clone(v);
+      }
+      setTimeout(() => listeners.forEach(f => f(changes, 'local')));
+      if (cb) setTimeout(cb);
+      return Promise.resolve();
+    }
+  };
+  return { local, onChanged: { addListener: f => listeners.push(f) } };
+}
+
+const fakeFetch = (files, base = EXT) => url => {
+  url = new URL(url, base).href;
+  const rel = url.replace(EXT, ''), file = path.join(ROOT, rel);
+  const text = !url.startsWith(EXT) ? null
+    : rel in files ? JSON.stringify(files[rel])
+    : fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  if (text == null)
+    return Promise.resolve({ ok: false, status: 404, json: () => Promise.reject(new Error(`404 ${url}`)) });
+  return Promise.resolve({ ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text });
+};
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.html] — the page's body
+ * @param {string} [opts.url]
+ * @param {Object} [opts.settings] — stored settings, over the defaults
+ * @param {Object} [opts.store] — anything else in chrome.storage.local
+ * @param {Object} [opts.files] — JSON served in place of repo files, by path ('data/luas_stops.json')
+ * @param {{width, height}} [opts.mapSize]
+ * @param {function(Window)} [opts.beforeLoad] — e.g. to put a stub map on the page
+ * @param {boolean} [opts.pageScript] — also run pageScript.js in the page
+ */
+function loadExtension({
+  html = '<body></body>', url = 'https://www.daft.ie/property-for-rent/dublin',
+  settings = {}, store = {}, files = {}, mapSize = { width: 800, height: 600 }, beforeLoad, pageScript = false
+} = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  store = { ...store, daftTransitSettings: { enabled: true, ...settings } };
+  const messages = [];
+
+  window.chrome = fakeChrome(store, messages);
+  window.fetch = fakeFetch(files);
+  window.ResizeObserver = class { observe() {} disconnect() {} };
+  window.HTMLElement.prototype.getBoundingClientRect = function () {
+    return { top: 0, left: 0, right: mapSize.width, bottom: mapSize.height, x: 0, y: 0, ...mapSize };
+  };
+  for (const prop of ['offsetWidth', 'offsetHeight'])
+    Object.defineProperty(window.HTMLElement.prototype, prop, { get: () => prop === 'offsetWidth' ? mapSize.width : mapSize.height });
+
+  if (beforeLoad) beforeLoad(window);
+  manifest.content_scripts[0].js.forEach(file => run(window, file));
+  if (pageScript) run(window, 'pageScript.js');
+
+  return {
+    ...pageHandle(window, store),
+    /** Send a chrome.runtime message to the content script, as background.js does. */
+    sendRuntimeMessage: msg => messages.forEach(f => f(msg, {}, () => {}))
+  };
+}
+
+/**
+ * An extension page (popup.html, options.html…) with its scripts run.
+ * @param {string} file — relative to the repo
+ * @param {Object} [opts] — settings, store and files as for loadExtension()
+ */
+function loadPage(file, { settings = {}, store = {}, files = {} } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const dom = new JSDOM(html, { url: EXT + file, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  store = { ...store, daftTransitSettings: { enabled: true, ...settings } };
+  window.chrome = fakeChrome(store, []);
+  window.fetch = fakeFetch(files, window.location.href);
+  // DOMContentLoaded comes after these, as in the browser
+  for (const script of window.document.querySelectorAll('script[src]')) run(window, script.getAttribute('src'));
+  return pageHandle(window, store);
+}
+
+/** The chrome.* API, as far as the content scripts and pages use it. */
+function fakeChrome(store, messages) {
+  return {
+    storage: fakeStorage(store),
+    runtime: {
+      getURL: p => EXT + p,
+      onMessage: { addListener: f => messages.push(f) },
+      sendMessage() {},
+      openOptionsPage() {}
+    },
+    tabs: {
+      query: (q, cb) => setTimeout(() => cb([])),
+      create() {},
+      sendMessage() {}
+    }
+  };
+}
+
+function run(window, file) {
+  window.eval(`${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n//# sourceURL=${file}`);
+}
+
+function pageHandle(window, store) {
+  return {
+    window,
+    document: window.document,
+    store,
+    /** Let the page's timers, fetches and messages run out. */
+    settle: (ms = 700) => new Promise(resolve => setTimeout(resolve, ms)),
+    /** Resolve with check()'s value once it's truthy; fail after ms. */
+    async until(check, ms = 5000) {
+      for (const end = Date.now() + ms; Date.now() < end; await new Promise(r => setTimeout(r, 25))) {
+        const v = check();
+        if (v) return v;
+      }
+      throw new Error(`Timed out waiting for ${check}`);
+    },
+    close: () => window.close()
+  };
+}
+
+module.exports = { loadExtension, loadPage, ROOT };
@@ -0,0 +1,61 @@
+/**
+ * A stand-in for Daft's MapLibre map, with as much of its API as
+ * pageScript.js uses.  It looks at a fixed view of central Dublin
+ * (53.30–53.40 N, 6.35–6.15 W) on an 800 × 600 canvas; layers, sources and
+ * event handlers are kept where the tests can see them, and fire() plays
+ * an event to the handlers registered for it.  queryRenderedFeatures()
+ * answers from rendered[layerId], which the tests fill in.
+ */
+'use strict';
+
+const VIEW = { north: 53.4, south: 53.3, east: -6.15, west: -6.35, width: 800, height: 600 };
+
+/**
+ * @param {Element} container — the .maplibregl-map element
+ * @param {Object} [opts] — styleLoaded: false to start mid style load;
+ *   failAddLayer: true for a map that refuses layers
+ */
+function fakeMap(container, { styleLoaded = true, failAddLayer = false } = {}) {
+  const handlers = [], sources = {}, layers = [], featureStates = {}, rendered = {};
+  const style = [
+    { id: 'background', type: 'background' },
+    { id: 'roads', type: 'line' },
+    { id: 'place-labels', type: 'symbol', layout: { 'text-font': ['Noto Sans Regular'] } }
+  ];
+  return {
+    layers, sources, handlers, featureStates, rendered,
+    getContainer: () => container,
+    getCanvas: () => ({ style: {} }),
+    getCenter: () => ({ lat: (VIEW.north + VIEW.south) / 2, lng: (VIEW.east + VIEW.west) / 2 }),
+    getZoom: () => 12,
+    getBounds: () => ({ getNorth: () => VIEW.north, getSouth: () => VIEW.south, getEast: () => VIEW.east, getWest: () => VIEW.west }),
+    project: ([lng, lat]) => ({
+      x: (lng - VIEW.west) / (VIEW.east - VIEW.west) * VIEW.width,
+      y: (VIEW.north - lat) / (VIEW.north - VIEW.south) * VIEW.height
+    }),
+    on(type, layer, fn) { handlers.push(fn ? { type, layer, fn } : { type, layer: null, fn: layer }); },
+    once(type, fn) { handlers.push({ type, layer: null, fn }); },
+    fire(type, layer = null, e = {}) {
+      handlers.filter(h => h.type === type && h.layer === layer).forEach(h => h.fn(e));
+    },
+    isStyleLoaded: () => styleLoaded,
+    getStyle: () => ({ layers: [...style, ...layers] }),
+    addSource(id, source) {
+      if (sources[id]) throw new Error(`There is already a source with ID "${id}"`);
+      sources[id] = { ...source, setData(data) { this.data = data; } };
+    },
+    getSource: id => sources[id],
+    removeSource(id) { delete sources[id]; },
+    addLayer(layer, beforeId) {
+      if (failAddLayer) throw new Error('Style is not done loading');
+      layers.push({ ...layer, beforeId });
+    },
+    getLayer: id => layers.find(l => l.id === id),
+    removeLayer(id) { layers.splice(layers.findIndex(l => l.id === id), 1); },
+    setPaintProperty(id, prop, value) { layers.find(l => l.id === id).paint[prop] = value; },
+    queryRenderedFeatures: (at, { layers: ids }) => ids.flatMap(id => rendered[id] || []),
+    setFeatureState(f, state) { featureStates[f.id] = state; }
+  };
+}
+
+module.exports = { fakeMap, VIEW };
@@ -0,0 +1,34 @@
+/**
+ * File snapshots for node:test, kept in test/__snapshots__/<name>.
+ *
+ *   matchSnapshot('search-centre.svg', markup);
+ *
+ * A missing snapshot is written, except under CI, where it fails the test
+ * instead; UPDATE_SNAPSHOTS=1 rewrites every snapshot a run compares.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const DIR = path.join(__dirname, '..', '__snapshots__');
+
+function matchSnapshot(name, actual) {
+  const file = path.join(DIR, name);
+  const text = actual.endsWith('\n') ? actual : `${actual}\n`;
+  if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(DIR, { recursive: true });
+    fs.writeFileSync(file, text);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `No snapshot ${name} — run the tests once without CI, or with UPDATE_SNAPSHOTS=1`);
+  assert.equal(text, fs.readFileSync(file, 'utf8'), `${name} differs from its snapshot — UPDATE_SNAPSHOTS=1 if that's intended`);
+}
+
+/** SVG markup one element per line, so snapshot diffs read. */
+function prettySVG(markup) {
+  return markup.replace(/></g, '>\n<');
+}
+
+module.exports = { matchSnapshot, prettySVG };
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { create } = require('../lib/mapAdapter');
+const { MSG } = require('../lib/protocol');
+
+/** A MapAdapter over a jsdom page whose elements are sized by their data-w / data-h. */
+function adapterFor(html, { url = 'https://www.daft.ie/property-for-rent/dublin', listing = null } = {}) {
+  const { window } = new JSDOM(html, { url });
+  window.HTMLElement.prototype.getBoundingClientRect = function () {
+    const width = +(this.dataset.w || 0), height = +(this.dataset.h || 0);
+    return { top: 0, left: 0, width, height };
+  };
+  const posted = [];
+  window.postMessage = msg => posted.push(msg);
+  const adapter = create({ window, getURL: p => `ext://${p}`, currentListing: () => listing });
+  return { adapter, window, posted };
+}
+
+test('detect() prefers a shown MapLibre map over a static image and a hidden map', () => {
+  const { adapter, window } = adapterFor(`
+    <div class="maplibregl-map" id="hidden"></div>
+    <div id="wrap"><img src="https://maps.googleapis.com/maps/api/staticmap?center=53.34,-6.25" data-w="640" data-h="320"></div>
+    <div class="maplibregl-map" id="shown" data-w="800" data-h="600"></div>`);
+  assert.ok(adapter.detect());
+  assert.equal(adapter.kind, 'gl');
+  assert.equal(adapter.container, window.document.getElementById('shown'));
+
+  window.document.getElementById('shown').remove();
+  adapter.detect();
+  assert.equal(adapter.kind, 'static');
+  assert.equal(adapter.container, window.document.getElementById('wrap'));
+});
+
+test('a search page\'s viewport comes from the bounds in its URL', () => {
+  const { adapter } = adapterFor('<div class="maplibregl-map" data-w="800" data-h="600"></div>',
+    { url: 'https://www.daft.ie/property-for-rent/dublin?top=53.4&bottom=53.3&left=-6.35&right=-6.15' });
+  adapter.detect();
+  assert.deepEqual(adapter.getViewport(), {
+    bounds: { north: 53.4, south: 53.3, east: -6.15, west: -6.35 },
+    containerRect: { top: 0, left: 0, width: 800, height: 600 }
+  });
+});
+
+test('the page script\'s viewport wins over the URL\'s', () => {
+  const { adapter } = adapterFor('<div class="maplibregl-map" data-w="800" data-h="600"></div>',
+    { url: 'https://www.daft.ie/property-for-rent/dublin?top=53.4&bottom=53.3&left=-6.35&right=-6.15' });
+  adapter.detect();
+  const vp = { bounds: { north: 1, south: 0, east: 1, west: 0 }, zoom: 9, containerRect: { width: 800, height: 600 } };
+  adapter.handleMessage({ type: MSG.MAP_VIEWPORT, payload: vp });
+  assert.equal(adapter.getViewport(), vp);
+});
+
+test('a static map is placed from the centre, zoom and size in its URL', () => {
+  const { adapter } = adapterFor(`<div><img data-w="640" data-h="320"
+    src="https://maps.googleapis.com/maps/api/staticmap?center=53.34,-6.25&zoom=15&size=640x320"></div>`);
+  adapter.detect();
+  const vp = adapter.getViewport();
+  assert.deepEqual(vp.center, { lat: 53.34, lng: -6.25 });
+  assert.equal(vp.zoom, 15);
+  // 640 px of 256 × 2^15 px round the world
+  assert.ok(Math.abs((vp.bounds.east - vp.bounds.west) - 640 / (256 * 2 ** 15) * 360) < 1e-9);
+  assert.ok(vp.bounds.north > 53.34 && vp.bounds.south < 53.34);
+});
+
+test('Mapbox and MapTiler static URLs parse too', () => {
+  const { adapter } = adapterFor('');
+  assert.deepEqual(adapter._parseStaticURL('https://api.mapbox.com/styles/v1/daft/abc/static/pin-s(-6.25,53.34)/-6.25,53.34,14.5,0/600x400@2x'),
+    { lng: -6.25, lat: 53.34, zoom: 14.5, width: 600, height: 400, tileSize: 512 });
+  assert.deepEqual(adapter._parseStaticURL('https://api.maptiler.com/maps/streets/static/-6.3,53.3,12/300x200.png'),
+    { lng: -6.3, lat: 53.3, zoom: 12, width: 300, height: 200, tileSize: 512 });
+});
+
+test('a listing page\'s map is centred on the listing', () => {
+  const { adapter } = adapterFor('<div class="maplibregl-map" data-w="400" data-h="300"></div>', { listing: { lat: 53.3, lng: -6.2 } });
+  adapter.detect();
+  const vp = adapter.getViewport();
+  assert.deepEqual(vp.center, { lat: 53.3, lng: -6.2 });
+  assert.equal(vp.zoom, 15);
+});
+
+test('project() asks the page script and resolves with its answer, or null when it doesn\'t answer', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { adapter, posted } = adapterFor('');
+  const answered = adapter.project([{ lat: 53.3, lng: -6.2 }]);
+  assert.equal(posted[0].type, MSG.PROJECT_REQUEST);
+  adapter.handleMessage({ type: MSG.PROJECT_RESPONSE, payload: { id: posted[0].payload.id, points: [{ x: 1, y: 2 }] } });
+  assert.deepEqual(await answered, [{ x: 1, y: 2 }]);
+
+  const unanswered = adapter.project([]);
+  t.mock.timers.tick(1000);
+  assert.equal(await unanswered, null);
+});
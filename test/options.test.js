@@ -0,0 +1,30 @@
+'use strict';
+
+// The options page in jsdom, its settings read from a fake chrome.storage.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/extension');
+
+test('removing a destination keeps settings changed elsewhere meanwhile', async t => {
+  const office = { name: 'Office', lat: 53.3438, lng: -6.2546 };
+  const page = loadPage('options.html', { settings: { destinations: [office], opacity: 80 } });
+  t.after(page.close);
+  await page.until(() => page.document.querySelector('#op-destinations button'));
+  // the popup changes the opacity before the options page hears of it
+  page.store.daftTransitSettings = { ...page.store.daftTransitSettings, opacity: 30 };
+  page.document.querySelector('#op-destinations button').click();
+  await page.until(() => page.store.daftTransitSettings.destinations.length === 0);
+  assert.equal(page.store.daftTransitSettings.opacity, 30);
+});
+
+test('a field change saves only that setting', async t => {
+  const page = loadPage('options.html');
+  t.after(page.close);
+  const box = await page.until(() => page.document.getElementById('op-luasStops'));
+  page.store.daftTransitSettings = { ...page.store.daftTransitSettings, theme: 'dark' };
+  box.checked = false;
+  box.dispatchEvent(new page.window.Event('change'));
+  await page.until(() => page.store.daftTransitSettings.luasStops === false);
+  assert.equal(page.store.daftTransitSettings.theme, 'dark');
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+// pageScript.js and the content scripts together, over a stub MapLibre map:
+// the native-layer path, and the stop and line events coming back from it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+const { fakeMap } = require('./helpers/fakeMap');
+
+const MAP = '<div class="maplibregl-map"><div class="maplibregl-canvas-container"><canvas class="maplibregl-canvas"></canvas></div></div>';
+
+function mapPage(settings, mapOpts) {
+  let map = null;
+  const page = loadExtension({
+    html: MAP, settings, pageScript: true,
+    beforeLoad: w => { map = w.map = fakeMap(w.document.querySelector('.maplibregl-map'), mapOpts); }
+  });
+  return { page, map };
+}
+
+const layerIds = map => map.layers.map(l => l.id);
+
+test('with a map instance the scene goes onto the map as layers, under its labels', async t => {
+  const { page, map } = mapPage();
+  t.after(page.close);
+  await page.until(() => map.sources['dt-transit-stops']);
+  assert.ok(layerIds(map).includes('dt-transit-lines'));
+  assert.ok(layerIds(map).includes('dt-transit-stops'));
+  const lines = map.sources['dt-transit-lines'].data.features;
+  const stops = map.sources['dt-transit-stops'].data.features;
+  assert.ok(lines.some(f => f.properties.route === 'luas-green'));
+  assert.ok(stops.some(f => f.properties.mode === 'luas'));
+  assert.equal(map.layers.find(l => l.id === 'dt-transit-lines').beforeId, 'place-labels');
+  // Nothing drawn twice: the SVG holds only the focus layer
+  const svg = page.document.getElementById('daft-transit-svg-overlay');
+  await page.until(() => svg.querySelector('#dt-stop-access .dt-stop-focus'));
+  assert.equal(svg.querySelector('.transit-stop, polyline'), null);
+});
+
+test('a click on a native stop pins it', async t => {
+  const { page, map } = mapPage();
+  t.after(page.close);
+  await page.until(() => map.sources['dt-transit-stops']);
+  const stop = map.sources['dt-transit-stops'].data.features.find(f => f.properties.mode === 'luas');
+  map.fire('click', 'dt-transit-stops', { features: [{ ...stop, id: 1 }] });
+  const panel = await page.until(() => page.document.getElementById('dt-stop-panel'));
+  assert.match(panel.textContent, new RegExp(stop.properties.name));
+});
+
+test('a click on a native line highlights its route', async t => {
+  const { page, map } = mapPage();
+  t.after(page.close);
+  await page.until(() => map.sources['dt-transit-stops']);
+  map.rendered['dt-transit-lines'] = [{ properties: { route: 'maynooth' } }];
+  map.fire('click', null, { point: { x: 400, y: 300 } });
+  await page.until(() => map.sources['dt-transit-lines']?.data.features.some(f => f.properties.fade < 1));
+  assert.equal(page.store.daftTransitSettings.highlightRoute, 'maynooth');
+});
+
+test('turning the overlay off takes the layers off the map', async t => {
+  const { page, map } = mapPage();
+  t.after(page.close);
+  await page.until(() => map.sources['dt-transit-stops']);
+  await page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, enabled: false } });
+  await page.until(() => !layerIds(map).some(id => id.startsWith('dt-')));
+});
+
+test('a map that won\'t take layers falls back to the SVG overlay', async t => {
+  const { page } = mapPage({}, { failAddLayer: true });
+  t.after(page.close);
+  const svg = await page.until(() => page.document.querySelector('#daft-transit-svg-overlay:has(polyline)'));
+  assert.ok(svg.querySelectorAll('.transit-stop').length > 0);
+});
+
+test('a map opened over the first one gets the layers, and the first gets them back when it closes', async t => {
+  const { page, map } = mapPage();
+  t.after(page.close);
+  await page.until(() => map.sources['dt-transit-stops']);
+  const modal = page.document.createElement('div');
+  modal.innerHTML = MAP;
+  page.document.body.appendChild(modal);
+  const modalMap = page.window.mapInstance = fakeMap(modal.querySelector('.maplibregl-map'));
+  await page.until(() => modalMap.sources['dt-transit-stops']);
+
+  map.removeSource('dt-transit-stops');
+  modal.remove();
+  await page.until(() => map.sources['dt-transit-stops']);
+});
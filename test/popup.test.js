@@ -0,0 +1,52 @@
+'use strict';
+
+// The toolbar popup in jsdom, its settings read from a fake chrome.storage.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/extension');
+
+test('a commute destination needs a name', async t => {
+  const page = loadPage('popup.html');
+  t.after(page.close);
+  await page.settle(100);
+  const el = id => page.document.getElementById(id);
+  const add = (name, coords) => {
+    el('dt-dest-name').value = name;
+    el('dt-dest-coords').value = coords;
+    el('dt-dest-form').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  };
+
+  add('   ', '53.3438, -6.2546');
+  assert.equal(el('dt-dest-error').textContent, 'Give the destination a name');
+  await page.settle(100);
+  assert.deepEqual(page.store.daftTransitSettings?.destinations ?? [], []);
+
+  add(' Office ', '53.3438, -6.2546');
+  assert.equal(el('dt-dest-error').textContent, '');
+  await page.until(() => page.store.daftTransitSettings?.destinations?.length === 1);
+  assert.equal(page.store.daftTransitSettings.destinations[0].name, 'Office');
+});
+
+test('a popup change saves only its own setting', async t => {
+  const page = loadPage('popup.html', { settings: { opacity: 80 } });
+  t.after(page.close);
+  await page.settle(100);
+  // the map panel changes the opacity before the popup hears of it
+  page.store.daftTransitSettings = { ...page.store.daftTransitSettings, opacity: 30 };
+  const box = page.document.getElementById('dt-dart-lines');
+  box.checked = false;
+  box.dispatchEvent(new page.window.Event('change'));
+  await page.until(() => page.store.daftTransitSettings.dartLines === false);
+  assert.equal(page.store.daftTransitSettings.opacity, 30);
+});
+
+test('the popup follows settings changed elsewhere', async t => {
+  const page = loadPage('popup.html');
+  t.after(page.close);
+  await page.settle(100);
+  const el = id => page.document.getElementById(id);
+  page.window.chrome.storage.local.set({ daftTransitSettings: { ...page.store.daftTransitSettings, luasStops: false, opacity: 45 } });
+  await page.until(() => el('dt-luas-stops').checked === false);
+  assert.equal(el('dt-opacity-val').textContent, '45%');
+});
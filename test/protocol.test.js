@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MSG, PREFIX, isMessage, dispatcher } = require('../lib/protocol');
+
+const ROOT = path.join(__dirname, '..');
+const typesIn = file => [...fs.readFileSync(path.join(ROOT, file), 'utf8').matchAll(/'(DAFT_TRANSIT_[A-Z_]+)'/g)].map(m => m[1]);
+
+test('every type is its name behind the prefix', () => {
+  for (const [name, type] of Object.entries(MSG)) assert.equal(type, PREFIX + name);
+  assert.ok(Object.isFrozen(MSG));
+});
+
+test('pageScript.js only sends and answers types the protocol has', () => {
+  const types = typesIn('pageScript.js');
+  assert.ok(types.length > 10);
+  const known = new Set(Object.values(MSG));
+  assert.deepEqual(types.filter(t => !known.has(t)), []);
+});
+
+test('the extension side spells no types out', () => {
+  for (const file of ['contentScript.js', 'background.js', 'lib/mapAdapter.js'])
+    assert.deepEqual(typesIn(file), [], file);
+});
+
+test('isMessage() takes only our messages', () => {
+  assert.ok(isMessage({ type: MSG.MAP_FOUND }));
+  assert.ok(!isMessage({ type: 'webpackHotUpdate' }));
+  assert.ok(!isMessage('DAFT_TRANSIT_MAP_FOUND'));
+  assert.ok(!isMessage(null));
+});
+
+test('dispatcher() hands the payload to its type\'s handler', () => {
+  const seen = [];
+  const dispatch = dispatcher({
+    [MSG.STOP_CLICK]: (payload, msg) => seen.push(['click', payload, msg.type]),
+    [MSG.STOP_LEAVE]: payload => seen.push(['leave', payload])
+  });
+  dispatch({ type: MSG.STOP_CLICK, payload: { x: 1 } });
+  dispatch({ type: MSG.STOP_LEAVE });
+  dispatch({ type: MSG.MAP_FOUND });
+  dispatch({ type: 'toString' });
+  dispatch({ type: `${PREFIX}toString` });
+  assert.deepEqual(seen, [['click', { x: 1 }, MSG.STOP_CLICK], ['leave', {}]]);
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DaftScene = require('../lib/scene');
+const DaftSettings = require('../lib/settings');
+
+const fc = features => ({ type: 'FeatureCollection', features });
+const line = (props, coords) => ({ type: 'Feature', properties: props, geometry: { type: 'LineString', coordinates: coords } });
+const point = (props, [lng, lat]) => ({ type: 'Feature', properties: props, geometry: { type: 'Point', coordinates: [lng, lat] } });
+
+// A few features either side of O'Connell Bridge (−6.26, 53.347)
+const DATA = {
+  luasLines: fc([
+    line({ line: 'Green', route: 'luas-green' }, [[-6.26, 53.34], [-6.26, 53.36]]),
+    line({ line: 'Red', route: 'luas-red' }, [[-6.28, 53.348], [-6.24, 53.348]])
+  ]),
+  luasStops: fc([
+    point({ id: 'ocb', name: "O'Connell Bridge", line: 'Green', stepFree: true }, [-6.26, 53.347]),
+    point({ id: 'abbey', name: 'Abbey Street', line: 'Red' }, [-6.258, 53.348])
+  ]),
+  railLines: fc([
+    line({ line: 'DART', route: 'dart' }, [[-6.25, 53.33], [-6.25, 53.36]]),
+    line({ line: 'Commuter', route: 'maynooth' }, [[-6.30, 53.35], [-6.25, 53.35]])
+  ]),
+  railStations: fc([
+    point({ id: 'tara', name: 'Tara Street', line: 'DART', stepFree: true, lifts: true }, [-6.254, 53.347]),
+    point({ id: 'drumcondra', name: 'Drumcondra', line: 'Commuter' }, [-6.259, 53.363]),
+    point({ id: 'nosf', name: 'Far Halt', line: 'Commuter', stepFree: false, parkAndRide: true }, [-6.6, 53.5])
+  ]),
+  futureLines: fc([line({ line: 'MetroLink' }, [[-6.26, 53.33], [-6.26, 53.40]])]),
+  futureStations: fc([point({ id: 'm1', name: "O'Connell St", line: 'MetroLink', status: 'approved', expectedYear: 2035 }, [-6.261, 53.349])])
+};
+
+const settingsWith = over => ({ ...DaftSettings.defaults(), ...over });
+const ALL = { futureLines: true, futureStations: true };
+
+test('lines are painted rail, Luas, then planned', () => {
+  const scene = DaftScene.build(DATA, settingsWith(ALL), null);
+  const order = scene.lines.map(l => l.dash ? 'planned' : l.route);
+  assert.deepEqual(order, ['dart', 'maynooth', 'luas-green', 'luas-red', 'planned']);
+  assert.deepEqual(scene.stops.map(s => s.stop.mode), ['rail', 'rail', 'rail', 'luas', 'luas', 'future']);
+});
+
+test('DART and Irish Rail toggle separately', () => {
+  const scene = DaftScene.build(DATA, settingsWith({ dartLines: false, irishRailStations: false }), null);
+  assert.deepEqual(scene.lines.filter(l => l.route === 'dart' || l.route === 'maynooth').map(l => l.route), ['maynooth']);
+  assert.deepEqual(scene.stops.filter(s => s.stop.mode === 'rail').map(s => s.stop.id), ['tara']);
+});
+
+test('stops carry what\'s known of their facilities, and say when access isn\'t known', () => {
+  const scene = DaftScene.build(DATA, settingsWith(ALL), null);
+  const facilities = id => scene.stops.find(s => s.stop.id === id).stop.facilities;
+  assert.equal(facilities('tara'), 'Step-free · Lifts');
+  assert.equal(facilities('nosf'), 'Not step-free · Park & ride');
+  assert.equal(facilities('abbey'), 'Step-free access unknown');
+  assert.equal(facilities('m1'), '');   // planned stations have no such data
+});
+
+test('step-free only hides the stations known not to be, keeping the unknown', () => {
+  const scene = DaftScene.build(DATA, settingsWith({ stepFreeOnly: true }), null);
+  assert.deepEqual(scene.stops.map(s => s.stop.id), ['tara', 'drumcondra', 'ocb', 'abbey']);
+  const shown = DaftScene.accessShown(true);
+  assert.deepEqual(DATA.railStations.features.filter(shown).map(f => f.properties.id), ['tara', 'drumcondra']);
+  assert.equal(DATA.railStations.features.filter(DaftScene.accessShown(false)).length, 3);
+});
+
+test('a highlighted route dims the rest and paints it underneath', () => {
+  const highlight = { route: 'luas-green', stops: new Set(['ocb']) };
+  const scene = DaftScene.build(DATA, settingsWith({}), null, { highlight });
+  const lit = scene.lines.filter(l => !l.dim);
+  assert.deepEqual(lit.map(l => l.route), ['luas-green']);
+  assert.equal(scene.lines[scene.lines.length - 1].route, 'luas-green');
+  assert.equal(lit[0].width, 4);   // 3 for Luas, +1 while lit
+  assert.deepEqual(scene.stops.filter(s => !s.dim).map(s => s.stop.id), ['ocb']);
+});
+
+test('label ranks come from ctx.ranks; planned stations rank lowest', () => {
+  const ranks = new Map([['tara', 3]]);
+  const scene = DaftScene.build(DATA, settingsWith(ALL), null, { ranks });
+  const rank = id => scene.stops.find(s => s.stop.id === id).rank;
+  assert.equal(rank('tara'), 3);
+  assert.equal(rank('ocb'), 1);
+  assert.equal(rank('m1'), 1);
+});
+
+test('stops inside a drawn area are flagged', () => {
+  const areas = [{ id: 'a1', name: 'Centre', coords: [[-6.262, 53.346], [-6.256, 53.346], [-6.256, 53.349], [-6.262, 53.349]] }];
+  const scene = DaftScene.build(DATA, settingsWith({ areas }), null);
+  assert.deepEqual(scene.stops.filter(s => s.inArea).map(s => s.stop.id), ['ocb', 'abbey']);
+  assert.equal(scene.areas, areas);
+});
+
+test('a view keeps what reaches into it; coverage looks a ring beyond it', () => {
+  // The indexes answer by grid cell (lib/geometry.js), so the view stops
+  // short of the cell Drumcondra is in — and a ring's reach doesn't
+  const view = { bbox: { west: -6.27, east: -6.255, south: 53.34, north: 53.349 }, zoom: 16 };
+  const settings = settingsWith({ coverage: true, walkRings: [10] });
+  const scene = DaftScene.build(DATA, settings, view, { index: DaftScene.createIndex() });
+  const ids = scene.stops.map(s => s.stop.id);
+  assert.ok(ids.includes('ocb') && ids.includes('tara'));
+  assert.ok(!ids.includes('drumcondra') && !ids.includes('nosf'));
+  assert.ok(scene.coverage.points.some(([lng, lat]) => lng === -6.259 && lat === 53.363));
+  assert.ok(!scene.coverage.points.some(([lng]) => lng === -6.6));
+});
+
+test('walkRings() converts minutes at the chosen speed, nearest first', () => {
+  const walk = DaftScene.walkRings(settingsWith({ walkRings: [10, 5, 10, 0] }));
+  assert.deepEqual(walk.map(r => r.label), ['5 min', '10 min']);
+  assert.equal(Math.round(walk[0].meters), Math.round(5 * DaftSettings.TRAVEL_PROFILES.walk.kmh * 1000 / 60));
+  const cycle = DaftScene.walkRings(settingsWith({ walkRings: [5], travelProfile: 'cycle' }));
+  assert.ok(cycle[0].meters > walk[0].meters);
+  assert.deepEqual(DaftScene.walkRings(settingsWith({ travelProfile: 'custom', travelSpeedKmh: 0 })), []);
+});
+
+test('viewOf() pads the viewport and works out the zoom', () => {
+  const vp = { bounds: { west: -6.35, east: -6.15, south: 53.3, north: 53.4 }, containerRect: { width: 800, height: 600 } };
+  const view = DaftScene.viewOf(vp);
+  const pad = { west: -0.2, east: 0.2, south: -0.1, north: 0.1 };
+  for (const side of Object.keys(pad))
+    assert.ok(Math.abs(view.bbox[side] - (vp.bounds[side] + pad[side] * DaftScene.VIEW_PAD)) < 1e-9, side);
+  assert.ok(Math.abs(view.zoom - Math.log2(800 * 360 / (0.2 * 512))) < 1e-9);
+  assert.equal(DaftScene.viewOf(null), null);
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const S = require('../lib/settings');
+
+/** The names of the next n presets the shortcut steps through. */
+const names = (settings, n) => {
+  const seen = [];
+  for (let s = settings, i = 0; i < n; i++) {
+    const [name, layers] = S.nextLayers(s);
+    seen.push(name);
+    s = { ...s, ...layers };
+  }
+  return seen;
+};
+
+test('nextLayers() steps through the presets and wraps round', () => {
+  const none = { ...S.defaults(), luasLines: false };   // matches no preset
+  assert.deepEqual(names(none, 5), ['Luas and rail', 'Luas only', 'DART only', 'Irish Rail only', 'Luas and rail']);
+  // the defaults show Luas and rail already, so the cycle moves on from there
+  assert.equal(S.nextLayers(S.defaults())[0], 'Luas only');
+});
+
+test('settings saved with the withdrawn bus and street-network options load without them', () => {
+  const s = S.normalize({ busLines: true, busStops: true, busMaxHeadway: 15, listingMode: 'bus', walkIsochrones: true });
+  assert.ok(!('busLines' in s) && !('busStops' in s) && !('busMaxHeadway' in s) && !('walkIsochrones' in s));
+  assert.equal(s.listingMode, 'any');
+  assert.deepEqual(S.validate(S.migrate({ busLines: true, walkIsochrones: false })).errors, []);
+});
+
+test('migrate() turns the old 5 / 10 / 20 min flags into walkRings', () => {
+  assert.deepEqual(S.migrate({ walkRadius5: true, walkRadius10: false, walkRadius20: true }), { walkRings: [5, 20] });
+  assert.deepEqual(S.migrate({ walkRadius20: true }), { walkRings: [5, 10, 20] });   // unset flags keep their old defaults
+  assert.deepEqual(S.migrate({ walkRadius5: false, walkRadius10: false }), { walkRings: [] });
+  assert.deepEqual(S.migrate({ walkRings: [15], walkRadius5: true }), { walkRings: [15] });   // newer list wins
+});
+
+test('validate() reports unknown keys and falls back on invalid values', () => {
+  const { settings, errors } = S.validate({ opacity: 75, theme: 'neon', frobnicate: 1, walkRings: [5, 5] });
+  assert.deepEqual(settings, { opacity: 75 });
+  assert.deepEqual(errors, [
+    '"theme" has an invalid value; using the default',
+    'Unknown setting "frobnicate" ignored',
+    '"walkRings" has an invalid value; using the default'
+  ]);
+});
+
+test('validate() drops only the bad destinations and areas', () => {
+  const office = { name: 'Office', lat: 53.3438, lng: -6.2546 };
+  const area = { id: 'a1', name: 'Ranelagh', coords: [[-6.26, 53.32], [-6.25, 53.32], [-6.25, 53.33]] };
+  const { settings, errors } = S.validate({
+    destinations: [office, { name: '  ', lat: 53.3, lng: -6.2 }, { name: 'Paris', lat: 48.86, lng: 2.35 }, null],
+    areas: [area, { id: 'a2', name: 'Line', coords: [[-6.26, 53.32], [-6.25, 53.32]] }]
+  });
+  assert.deepEqual(settings, { destinations: [office], areas: [area] });
+  assert.deepEqual(errors, [
+    '"destinations" entry 2 is invalid; dropped',
+    '"destinations" entry 3 is invalid; dropped',
+    '"destinations" entry 4 is invalid; dropped',
+    '"areas" entry 2 is invalid; dropped'
+  ]);
+  assert.deepEqual(S.validate({ areas: 'Ranelagh' }).errors, ['"areas" has an invalid value; using the default']);
+});
+
+test('normalize() fills in defaults around whatever is valid', () => {
+  assert.deepEqual(S.normalize(undefined), S.defaults());
+  assert.deepEqual(S.normalize([1, 2]), S.defaults());
+  const s = S.normalize({ opacity: 40, theme: 'neon', walkRadius10: false });
+  assert.equal(s.opacity, 40);
+  assert.equal(s.theme, S.DEFAULTS.theme);
+  assert.deepEqual(s.walkRings, [5]);
+  assert.ok(!('walkRadius10' in s));
+});
+
+test('profiles keep display and filter settings, not places or the master switch', () => {
+  for (const k of ['enabled', 'destinations', 'areas', 'listingArea']) assert.ok(!S.PROFILE_KEYS.includes(k), k);
+  const mine = { ...S.defaults(), destinations: [{ name: 'Home', lat: 53.3, lng: -6.2 }], listingArea: 'a1', opacity: 50 };
+  const picked = S.pick(mine);
+  assert.equal(picked.opacity, 50);
+  assert.ok(!('destinations' in picked) && !('listingArea' in picked));
+  assert.ok(!S.exportProfiles([{ name: 'Mine', settings: mine }]).includes('Home'));
+  assert.ok(S.matches({ ...mine, destinations: [] }, { settings: picked }));
+});
+
+test('parseProfiles() reads an export back, dropping places', () => {
+  const text = S.exportProfiles([{ name: 'DART only', settings: { ...S.defaults(), luasLines: false, luasStops: false } }]);
+  const { profiles, errors } = S.parseProfiles(text, 'unused');
+  assert.deepEqual(errors, []);
+  assert.equal(profiles.length, 1);
+  assert.equal(profiles[0].name, 'DART only');
+  assert.equal(profiles[0].settings.luasLines, false);
+
+  const file = JSON.stringify({ format: 'commute-check-profiles', version: 1, profiles: [
+    { name: ' Shared ', settings: { opacity: 60, enabled: true, destinations: [{ name: 'Their office', lat: 53.34, lng: -6.25 }] } }
+  ] });
+  const shared = S.parseProfiles(file, 'unused');
+  assert.deepEqual(shared.errors, []);
+  assert.equal(shared.profiles[0].name, 'Shared');
+  assert.equal(shared.profiles[0].settings.opacity, 60);
+  assert.ok(!('enabled' in shared.profiles[0].settings) && !('destinations' in shared.profiles[0].settings));
+});
+
+test('parseProfiles() takes an old bare settings object as one profile, upgraded', () => {
+  const { profiles, errors } = S.parseProfiles(JSON.stringify({ walkRadius20: true, opacity: 300 }), 'old-settings');
+  assert.equal(profiles[0].name, 'old-settings');
+  assert.deepEqual(profiles[0].settings.walkRings, [5, 10, 20]);
+  assert.equal(profiles[0].settings.opacity, S.DEFAULTS.opacity);
+  assert.deepEqual(errors, ['old-settings: "opacity" has an invalid value; using the default']);
+});
+
+test('parseProfiles() refuses files it can\'t read, and skips unnamed profiles', () => {
+  const none = text => S.parseProfiles(text, 'x');
+  assert.deepEqual(none('{'), { profiles: [], errors: ['Not a JSON file'] });
+  assert.deepEqual(none('[]'), { profiles: [], errors: ['Expected a Commute Check profiles file'] });
+  assert.deepEqual(none('{"colour":"red"}'), { profiles: [], errors: ['Expected a Commute Check profiles file'] });
+  assert.deepEqual(none('{"format":"commute-check-profiles","profiles":[]}'), { profiles: [], errors: ['Expected a Commute Check profiles file'] });
+  assert.deepEqual(none('{"format":"commute-check-profiles","version":"1","profiles":[]}'), { profiles: [], errors: ['Expected a Commute Check profiles file'] });
+  assert.deepEqual(none('{"format":"commute-check-profiles","version":2,"profiles":[]}'),
+    { profiles: [], errors: ['Made by a newer version of Commute Check (format 2)'] });
+  assert.deepEqual(none('{"format":"commute-check-profiles","version":1}'), { profiles: [], errors: ['The file has no profiles list'] });
+
+  const mixed = none(JSON.stringify({ format: 'commute-check-profiles', version: 1, profiles: [{ name: '' }, 'x', { name: 'Kept', settings: [] }] }));
+  assert.deepEqual(mixed.profiles.map(p => p.name), ['Kept']);
+  assert.deepEqual(mixed.errors, [
+    'Profile 1 skipped: it needs a name of up to 40 characters',
+    'Profile 2 skipped: it needs a name of up to 40 characters'
+  ]);
+});
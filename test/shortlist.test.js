@@ -0,0 +1,42 @@
+'use strict';
+
+// The shortlist page in jsdom, its listings read from a fake chrome.storage.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/extension');
+
+const listing = (id, title) => ({
+  id, title, url: `https://www.daft.ie/for-rent/${id}`, lat: 53.3331, lng: -6.2489,
+  savedAt: '2026-03-02T10:00:00.000Z', score: 72, band: 'Good',
+  nearest: { luas: { name: 'Ranelagh', label: 'Green', meters: 420, minutes: 5 }, dart: null, rail: null }
+});
+
+test('the page lists the starred properties', async t => {
+  const page = loadPage('shortlist.html', { store: { daftTransitShortlist: [listing('1', 'Ranelagh'), listing('2', 'Rathmines')] } });
+  t.after(page.close);
+  await page.until(() => page.document.querySelectorAll('#sl-rows tr').length === 2);
+  assert.equal(page.document.getElementById('sl-count').textContent, '2 properties');
+});
+
+test('the CSV export keeps spreadsheet formulas from running, and numbers as numbers', async t => {
+  const page = loadPage('shortlist.html');
+  t.after(page.close);
+  await page.settle(100);
+  const csv = page.window.toCSV([
+    listing('1', '=HYPERLINK("https://example.com","Open")'),
+    listing('2', '+353 1 555 0100'),
+    listing('3', '-2 bed apartment'),
+    listing('4', '@SUM(A1)'),
+    listing('5', 'Ranelagh\r2 bed')
+  ]);
+  const titles = csv.split('\n').slice(1, -1).map(row => row.slice(2, row.indexOf(',https://')));
+  assert.deepEqual(titles, [
+    '"\'=HYPERLINK(""https://example.com"",""Open"")"',
+    '\'+353 1 555 0100',
+    '\'-2 bed apartment',
+    '\'@SUM(A1)',
+    '"Ranelagh\r2 bed"'
+  ]);
+  assert.ok(csv.includes(',53.3331,-6.2489,72,Good,Ranelagh,5,420,'));
+});
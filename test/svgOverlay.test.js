@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const O = require('../lib/svgOverlay');
+
+const stop = (id, mode, extra = {}) => ({
+  lng: 0, lat: 0, fill: '#000', stroke: '#fff', r: 4, rank: 1, inArea: false, dim: false,
+  stop: { id, name: id, mode, line: mode === 'rail' ? 'DART' : '', facilities: '' }, ...extra
+});
+
+const SCENE = {
+  lines: [
+    { parts: [[[0, 0], [1, 1], [2, 2]]], color: '#f00', width: 3, dash: null, route: 'r1', dim: false },
+    { parts: [[[0, 0], [1, 1]]], color: '#0f0', width: 3, dash: '7 5', route: '', dim: true }
+  ],
+  stops: [stop('a', 'luas'), stop('b', 'rail', { dim: true })],
+  coverage: { rings: [{ meters: 100, color: '#00f' }], points: [[5, 5]] },
+  areas: [{ id: 'x', name: 'X', coords: [[0, 0], [1, 0], [1, 1]] }]
+};
+
+test('layout() lists lines, stops, coverage and areas in that order', () => {
+  const { pts, firstStop, firstCover, firstArea } = O.layout(SCENE);
+  assert.equal(pts.length, 3 + 2 + 2 + 1 + 3);
+  assert.deepEqual([firstStop, firstCover, firstArea], [5, 7, 8]);
+  assert.deepEqual(pts[firstCover], { lat: 5, lng: 5 });
+});
+
+test('draw() paints coverage, areas, lines, stops, then the focus layer', () => {
+  const layout = O.layout(SCENE);
+  const px = layout.pts.map((p, i) => ({ x: 10 * i, y: 20 }));
+  px[1] = null;   // a vertex the map couldn't place is skipped
+  const { svg, hits, stopPx } = O.draw(SCENE, layout, px, { opacity: 0.5, pxPerMeter: 0.1, rect: { width: 800, height: 600 } });
+  const order = ['dt-coverage', 'dt-area', '<polyline', 'transit-stop', 'dt-stop-access'].map(s => svg.indexOf(s));
+  assert.deepEqual([...order].sort((a, b) => a - b), order);
+  assert.ok(order.every(i => i >= 0));
+  assert.match(svg, /<polyline points="0\.0,20\.0 20\.0,20\.0"/);
+  assert.match(svg, /stroke-opacity="0\.075"/);   // dimmed: 0.5 × DIM_OPACITY
+  assert.match(svg, /<circle cx="70\.0" cy="20\.0" r="10\.0" fill="#00f"\/>/);
+  assert.deepEqual(hits.map(h => h.route), ['r1']);   // planned (dashed) lines aren't clickable
+  assert.deepEqual(stopPx, [{ x: 50, y: 20 }, { x: 60, y: 20 }]);
+});
+
+test('draw() leaves out the coverage without a scale, and labels unless asked', () => {
+  const layout = O.layout(SCENE);
+  const px = layout.pts.map(() => ({ x: 100, y: 100 }));
+  const { svg } = O.draw(SCENE, layout, px, { opacity: 1 });
+  assert.ok(!svg.includes('dt-coverage'));
+  assert.ok(!svg.includes('dt-labels'));
+  assert.ok(O.draw(SCENE, layout, px, { opacity: 1, labels: true }).svg.includes('dt-labels'));
+});
+
+test('placeLabels() puts higher ranks first, skips dimmed stops and drops labels with no room', () => {
+  const stops = [stop('Low', 'luas', { rank: 1 }), stop('High', 'luas', { rank: 3 }), stop('Dim', 'luas', { dim: true })];
+  const px = [{ x: 100, y: 100 }, { x: 100, y: 100 }, { x: 300, y: 300 }];
+  const out = O.placeLabels(stops, px);
+  assert.equal(out.length, 2);
+  assert.match(out[0], /text-anchor="start">High</);
+  assert.match(out[1], /text-anchor="end">Low</);
+});
+
+test('stopsInView() keeps what is inside the map, nearest its centre first', () => {
+  const stops = [stop('edge', 'luas'), stop('out', 'luas'), stop('middle', 'luas'), stop('unplaced', 'luas')];
+  const px = [{ x: 10, y: 10 }, { x: -5, y: 10 }, { x: 390, y: 310 }, null];
+  assert.deepEqual(O.stopsInView(stops, px, { width: 800, height: 600 }).map(v => v.s.stop.id), ['middle', 'edge']);
+  assert.deepEqual(O.stopsInView(stops, px, null), []);
+});
+
+test('the focus layer labels each stop with its mode and facilities', () => {
+  const s = stop('Tara Street', 'rail');
+  s.stop.facilities = 'Step-free · Lifts';
+  const svg = O.stopAccessSVG([s], [{ x: 1, y: 2 }], { width: 10, height: 10 });
+  assert.match(svg, /tabindex="0" role="button" aria-label="DART: Tara Street\. Step-free · Lifts"/);
+  assert.match(svg, /r="7"/);
+});
+
+test('the focus layer keeps the 100 stops nearest the centre, in that order', () => {
+  const stops = [], px = [];
+  for (let i = 0; i < 120; i++) {
+    stops.push(stop(`s${i}`, 'luas'));
+    px.push({ x: 400 + i, y: 300 });   // further from the centre the later they come
+  }
+  stops.push(stop('outside', 'luas'));
+  px.push({ x: -20, y: 300 });
+  stops.reverse();
+  px.reverse();
+  const svg = O.stopAccessSVG(stops, px, { width: 800, height: 600 });
+  const ids = [...svg.matchAll(/data-id="([^"]+)"/g)].map(m => m[1]);
+  assert.equal(ids.length, 100);
+  assert.deepEqual(ids.slice(0, 3), ['s0', 's1', 's2']);
+  assert.ok(!ids.includes('outside') && !ids.includes('s100'));
+  assert.match(svg, /^<g id="dt-stop-access" role="group" aria-label="Transit stops on the map, nearest the centre first">/);
+});
+
+test('the focus layer escapes stop names', () => {
+  const s = stop('Bray "Daly" <Station>', 'rail');
+  const svg = O.stopAccessSVG([s], [{ x: 1, y: 2 }], { width: 10, height: 10 });
+  assert.match(svg, /aria-label="DART: Bray &quot;Daly&quot; &lt;Station&gt;"/);
+});
+
+test('describeStopsInView() counts by kind, commonest first', () => {
+  const inView = [stop('a', 'luas'), stop('b', 'luas'), stop('c', 'rail'), stop('d', 'future'), stop('e', 'luas')].map(s => ({ s }));
+  assert.equal(O.describeStopsInView(inView), '3 Luas stops, 1 DART station and 1 planned station in view');
+  assert.equal(O.describeStopsInView(inView.slice(2, 3)), '1 DART station in view');
+  assert.equal(O.describeStopsInView([]), 'No transit stops in view');
+  // ties keep DART, Luas, Irish Rail, planned order
+  const tied = [stop('p', 'future'), stop('r', 'rail', { stop: { id: 'r', name: 'r', mode: 'rail', line: 'Commuter' } }), stop('l', 'luas'), stop('d', 'rail')].map(s => ({ s }));
+  assert.equal(O.describeStopsInView(tied), '1 DART station, 1 Luas stop, 1 Irish Rail station and 1 planned station in view');
+});
+
+test('pxPerMeter() reads the scale off the viewport, else two projected points', () => {
+  const vp = { bounds: { west: 0, east: 1, south: -0.5, north: 0.5 }, containerRect: { width: 1113.2 } };
+  assert.ok(Math.abs(O.pxPerMeter(vp, [], []) - 0.01) < 1e-6);
+  const pts = [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 }];
+  assert.ok(Math.abs(O.pxPerMeter(null, pts, [{ x: 0, y: 0 }, { x: 11.132, y: 0 }]) - 0.01) < 1e-6);
+  assert.equal(O.pxPerMeter(null, pts, [{ x: 0, y: 0 }, null]), 0);
+});
+
+test('esc() makes text safe in attributes and content', () => {
+  assert.equal(O.esc('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { score, WEIGHTS } = require('../lib/transitScore');
+
+const HOME = { lat: 53.35, lng: -6.26 };
+const M_PER_DEG_LAT = 6371000 * Math.PI / 180;
+
+/** A stop `meters` due north of HOME. */
+const stopAt = (meters, kind = 'luas', extra = {}) =>
+  ({ lat: HOME.lat + meters / M_PER_DEG_LAT, lng: HOME.lng, kind, name: `${kind} ${meters}`, lines: ['A'], ...extra });
+
+const pointsOf = (stops, weights) => score(HOME, stops, weights).counted.reduce((sum, c) => sum + c.points, 0);
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} ≉ ${b}`);
+
+test('nothing nearby scores 0, Minimal', () => {
+  assert.deepEqual(score(HOME, []), { score: 0, band: 'Minimal', counted: [] });
+  const far = score(HOME, [stopAt(WEIGHTS.maxWalkM + 50)]);
+  assert.equal(far.score, 0);
+  assert.deepEqual(far.counted, []);
+});
+
+test('a stop counts in full up to fullWalkM, then fades to nothing at maxWalkM', () => {
+  close(pointsOf([stopAt(0)]), 1);
+  close(pointsOf([stopAt(WEIGHTS.fullWalkM - 1)]), 1);
+  const half = (WEIGHTS.fullWalkM + WEIGHTS.maxWalkM) / 2;
+  assert.ok(Math.abs(pointsOf([stopAt(half)]) - 0.5) < 1e-3);
+  assert.equal(pointsOf([stopAt(WEIGHTS.maxWalkM + 1)]), 0);
+  const scores = [0, 400, 800, 1100].map(m => score(HOME, [stopAt(m)]).score);
+  assert.deepEqual([...scores].sort((a, b) => b - a), scores);
+});
+
+test('one Luas stop at the door scores about 49', () => {
+  const { score: s, band, counted } = score(HOME, [stopAt(0)]);
+  assert.equal(s, Math.round(100 * (1 - Math.exp(-1 / WEIGHTS.scale))));
+  assert.equal(s, 49);
+  assert.equal(band, 'Good');
+  assert.equal(counted.length, 1);
+});
+
+test('modes are weighted: Luas and DART over rail', () => {
+  close(pointsOf([stopAt(0, 'dart')]), WEIGHTS.mode.dart);
+  close(pointsOf([stopAt(0, 'rail')]), WEIGHTS.mode.rail);
+  assert.equal(pointsOf([stopAt(0, 'ferry')]), 0);
+  // and the weights can be overridden a mode at a time
+  close(pointsOf([stopAt(0, 'rail')], { mode: { rail: 1 } }), 1);
+  close(pointsOf([stopAt(0, 'dart')], { mode: { rail: 1 } }), WEIGHTS.mode.dart);
+});
+
+test('more lines add extraLine each, up to maxLines', () => {
+  const lines = n => pointsOf([stopAt(0, 'luas', { lines: Array.from({ length: n }, (_, i) => `L${i}`) })]);
+  close(lines(2), 1 + WEIGHTS.extraLine);
+  close(lines(WEIGHTS.maxLines), 1 + WEIGHTS.extraLine * (WEIGHTS.maxLines - 1));
+  close(lines(WEIGHTS.maxLines + 3), lines(WEIGHTS.maxLines));
+  close(lines(0), 1);
+});
+
+test('further stops of a mode count for less; another mode counts in full', () => {
+  const luas = [stopAt(0), stopAt(100), stopAt(200)];
+  close(pointsOf(luas), 1 + WEIGHTS.repeat + WEIGHTS.repeat ** 2);
+  close(pointsOf([stopAt(0), stopAt(0, 'dart')]), 1 + WEIGHTS.mode.dart);
+  const { counted } = score(HOME, [stopAt(200), stopAt(0, 'rail'), stopAt(100)]);
+  assert.deepEqual(counted.map(c => c.stop.name), ['luas 200', 'rail 0', 'luas 100']);
+});
+
+test('the score stays within 0–100 however much is nearby', () => {
+  const everything = Array.from({ length: 200 }, (_, i) => stopAt(i, ['luas', 'dart', 'rail'][i % 3], { lines: ['A', 'B', 'C', 'D', 'E', 'F'] }));
+  const { score: s, band } = score(HOME, everything);
+  assert.ok(s <= 100 && s >= 95);
+  assert.equal(band, 'Excellent');
+  assert.equal(score(HOME, everything, { scale: 1e-9 }).score, 100);
+  assert.ok(score(HOME, [stopAt(1190, 'rail')]).score >= 0);
+});